@@ -1,10 +1,14 @@
 // App.js
 // - Show user location
-// - Highlight ONE nearby restaurant (annotation)
-// - Plot region overlays (IPA vs Stout)
-// - Uses Expo-safe fallback for react-native-maps on Web
+// - Show points of interest + region overlays from data/catalogue.json (GeoJSON)
+// - Uses react-native-maps on iOS/Android and a vector web map on Web
+// - Tracks location continuously and alerts on region entry/exit (geofence.js)
+// - "Nearby" mode ranks points of interest by distance + bearing (distance.js)
+// - Records a track (polyline) and exports / re-imports it as GPX (track.js)
+// - Map region lives in state: "follow me" keeps it on the user, panning
+//   turns following off, and the zoom level is remembered across restarts
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   View,
   StatusBar,
@@ -12,97 +16,519 @@ import {
   Text,
   Platform,
   TouchableOpacity,
+  Alert,
 } from "react-native";
 import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as DocumentPicker from "expo-document-picker";
+import * as Sharing from "expo-sharing";
+import { File, Paths } from "expo-file-system";
+import LocationStatusScreen from "./components/LocationStatusScreen";
+import { createGeofenceEngine } from "./geofence";
+import { hexToRgba, parseCatalogue } from "./catalogue";
+import {
+  compassPoint,
+  formatDistance,
+  haversineM,
+  rankByDistance,
+} from "./distance";
+import {
+  formatDuration,
+  parseGpx,
+  toGpx,
+  trackDistanceM,
+  trackDurationMs,
+} from "./track";
 
 // --- SAFE react-native-maps IMPORT (prevents web crashes) ---
-let MapView, Marker, Polygon;
+let MapView, Marker, Polygon, Polyline;
 
 if (Platform.OS === "ios" || Platform.OS === "android") {
   const Maps = require("react-native-maps");
   MapView = Maps.default;
   Marker = Maps.Marker;
   Polygon = Maps.Polygon;
+  Polyline = Maps.Polyline;
 } else {
-  // Web fallback
-  MapView = ({ style, children }) => (
-    <View
-      style={[
-        style,
-        {
-          justifyContent: "center",
-          alignItems: "center",
-          backgroundColor: "#ddd",
-        },
-      ]}
-    >
-      <Text style={{ textAlign: "center", paddingHorizontal: 16 }}>
-        MapView / react-native-maps is not supported on web preview.
-        Please run this app on iOS or Android.
-      </Text>
-      {children}
-    </View>
-  );
-  Marker = () => null;
-  Polygon = () => null;
+  // Web: vector map with the same component interface (components/WebMap.js)
+  const WebMap = require("./components/WebMap");
+  MapView = WebMap.default;
+  Marker = WebMap.Marker;
+  Polygon = WebMap.Polygon;
+  Polyline = WebMap.Polyline;
 }
 
+// Web basemap: Lake Ontario and nearby water around the catalogue area,
+// simplified from OpenStreetMap water polygons (@geo-maps/earth-lakes-10m)
+const WEB_BASEMAP = require("./data/basemap.json");
+// Optional raster tiles drawn instead of the basemap, e.g. from a local tile
+// server: "http://localhost:8080/tile/{z}/{x}/{y}.png"
+const WEB_TILE_URL = null;
+const WEB_TILE_ATTRIBUTION = "© OpenStreetMap contributors";
+
 // Set StatusBar style like the book’s examples
 StatusBar.setBarStyle("dark-content");
 
-// --- REGION OVERLAY COORDINATES ---
-const IPA_REGION = [
-  { latitude: 43.8425, longitude: -79.0870 },
-  { latitude: 43.8425, longitude: -79.0845 },
-  { latitude: 43.8395, longitude: -79.0845 },
-  { latitude: 43.8395, longitude: -79.0870 },
-];
-
-const STOUT_REGION = [
-  { latitude: 43.8420, longitude: -79.0875 },
-  { latitude: 43.8420, longitude: -79.0850 },
-  { latitude: 43.8390, longitude: -79.0850 },
-  { latitude: 43.8390, longitude: -79.0875 },
-];
+// --- MAP CATALOGUE (regions + points of interest) ---
+// Parsed once at startup; if it's malformed we show the problems instead of the map
+let CATALOGUE = { regions: [], pois: [] };
+let CATALOGUE_ERROR = null;
+try {
+  CATALOGUE = parseCatalogue(require("./data/catalogue.json"));
+} catch (e) {
+  console.warn(e.message);
+  CATALOGUE_ERROR = e;
+}
+
+// --- GEOFENCES ---
+// See DEFAULT_GEOFENCE_OPTIONS in geofence.js for what each one does
+const GEOFENCE_OPTIONS = {
+  maxAccuracyM: 50,
+  dwellMs: 10000,
+  hysteresisM: 10,
+};
+
+const WATCH_OPTIONS = {
+  accuracy: Location.Accuracy.Balanced,
+  timeInterval: 5000,
+  distanceInterval: 5,
+};
+
+// --- NEARBY SEARCH ---
+const NEARBY_OPTIONS = {
+  // how many of the closest POIs to list
+  limit: 5,
+  // re-rank once we've moved this far from where the list was computed
+  refreshThresholdM: 50,
+};
+const SELECTED_PIN_COLOR = "#F59E0B";
+
+// --- MAP REGION ---
+const DEFAULT_ZOOM = { latitudeDelta: 0.01, longitudeDelta: 0.01 };
+const ZOOM_STORAGE_KEY = "geo-location-app/zoom";
+// Ignore the tiny echoes the map reports back after we set `region`
+const REGION_EPSILON = 1e-6;
+
+function nearlyEqual(a, b) {
+  return Math.abs(a - b) < REGION_EPSILON;
+}
+
+function isValidZoom(zoom) {
+  return (
+    zoom &&
+    Number.isFinite(zoom.latitudeDelta) &&
+    Number.isFinite(zoom.longitudeDelta) &&
+    zoom.latitudeDelta > 0 &&
+    zoom.longitudeDelta > 0
+  );
+}
+
+// --- TRACK RECORDING ---
+// Denser updates than the background watch while a track is being recorded
+const RECORDING_WATCH_OPTIONS = {
+  accuracy: Location.Accuracy.High,
+  timeInterval: 2000,
+  distanceInterval: 3,
+};
+const GPX_MIME_TYPE = "application/gpx+xml";
+
+async function exportTrackGpx(points) {
+  const gpx = toGpx(
+    points,
+    `Track ${new Date(points[0].timestamp ?? Date.now()).toLocaleString()}`
+  );
+  const filename = `track-${Date.now()}.gpx`;
+
+  if (Platform.OS === "web") {
+    const url = URL.createObjectURL(new Blob([gpx], { type: GPX_MIME_TYPE }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return;
+  }
+
+  const file = new File(Paths.cache, filename);
+  file.write(gpx);
+  await Sharing.shareAsync(file.uri, {
+    mimeType: GPX_MIME_TYPE,
+    UTI: "com.topografix.gpx",
+    dialogTitle: "Export track",
+  });
+}
+
+// Resolves to the imported points, or null if the user cancelled
+async function importTrackGpx() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: "*/*",
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return null;
+
+  const { uri } = result.assets[0];
+  const xml =
+    Platform.OS === "web"
+      ? await (await fetch(uri)).text()
+      : await new File(uri).text();
+  return parseGpx(xml);
+}
+
+// --- LOCATION STATE MACHINE ---
+// requesting -> ready | denied | unavailable | timeout (retry goes back to requesting)
+const FIRST_FIX_TIMEOUT_MS = 15000;
+
+class LocationTimeoutError extends Error {
+  constructor() {
+    super(`No location fix within ${FIRST_FIX_TIMEOUT_MS / 1000} s`);
+    this.name = "LocationTimeoutError";
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new LocationTimeoutError()), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+const ALERT_DURATION_MS = 4000;
+const MAX_LOG_ENTRIES = 20;
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString();
+}
 
 export default function App() {
   const [coords, setCoords] = useState(null);
-  const [activeOverlay, setActiveOverlay] = useState("ipa");
+  const [locationStatus, setLocationStatus] = useState("requesting");
+  const [locationDetail, setLocationDetail] = useState(null);
+  const [canAskAgain, setCanAskAgain] = useState(true);
+  // "gps" or "manual" (typed in when GPS isn't available)
+  const [locationSource, setLocationSource] = useState("gps");
+  const [locationAttempt, setLocationAttempt] = useState(0);
+  // Set when live updates fail after the map is up; shown as a banner
+  const [watchError, setWatchError] = useState(null);
+  // The next attempt keeps the map up (retrying from that banner)
+  const resumingRef = useRef(false);
+  const [activeOverlay, setActiveOverlay] = useState(
+    CATALOGUE.regions[0]?.id ?? null
+  );
+  const [regionAlert, setRegionAlert] = useState(null);
+  const [regionLog, setRegionLog] = useState([]);
+  const [nearbyMode, setNearbyMode] = useState(false);
+  const [rankOrigin, setRankOrigin] = useState(null);
+  const [selectedPoiId, setSelectedPoiId] = useState(null);
+  const [recording, setRecording] = useState(false);
+  const [track, setTrack] = useState([]);
+  const [following, setFollowing] = useState(true);
+  const [mapCenter, setMapCenter] = useState(null);
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const geofenceRef = useRef(
+    createGeofenceEngine(CATALOGUE.regions, GEOFENCE_OPTIONS)
+  );
 
-  // Ask for location permission + get current coords
+  // Ask for location permission + get current coords, then keep watching
   useEffect(() => {
-    (async () => {
-      const { status } =
-        await Location.requestForegroundPermissionsAsync();
+    let subscription = null;
+    let cancelled = false;
+    let dwellTimer = null;
+    // Once true, failures show a banner instead of LocationStatusScreen
+    let ready = resumingRef.current;
+    resumingRef.current = false;
+
+    const reportEvents = (events) => {
+      if (events.length === 0) return;
+      const newestFirst = [...events].reverse();
+      setRegionLog((prev) =>
+        [...newestFirst, ...prev].slice(0, MAX_LOG_ENTRIES)
+      );
+      setRegionAlert(newestFirst[0]);
+    };
+
+    // Standing still sends no fixes (distanceInterval), so pending
+    // crossings are also confirmed on a timer once dwellMs has passed
+    const scheduleDwellCheck = () => {
+      clearTimeout(dwellTimer);
+      const deadline = geofenceRef.current.nextDeadline();
+      if (deadline == null) return;
+      dwellTimer = setTimeout(() => {
+        reportEvents(geofenceRef.current.tick(deadline));
+        scheduleDwellCheck();
+      }, Math.max(0, deadline - Date.now()));
+    };
+
+    const handleFix = (location) => {
+      setCoords(location.coords);
+      setWatchError(null);
 
-      if (status !== "granted") {
-        console.warn("Location permissions not granted");
+      reportEvents(
+        geofenceRef.current.update({
+          latitude: location.coords.latitude,
+          longitude: location.coords.longitude,
+          accuracy: location.coords.accuracy,
+          timestamp: location.timestamp,
+        })
+      );
+      scheduleDwellCheck();
+    };
+
+    const fail = (status, detail = null) => {
+      if (cancelled) return;
+      if (ready) {
+        setWatchError(detail || "Location access was lost.");
         return;
       }
+      setLocationStatus(status);
+      setLocationDetail(detail);
+    };
+
+    (async () => {
+      if (!ready) {
+        setLocationStatus("requesting");
+        setLocationDetail(null);
+      }
+
+      try {
+        const permission = await Location.requestForegroundPermissionsAsync();
+        if (permission.status !== "granted") {
+          if (!cancelled) setCanAskAgain(permission.canAskAgain !== false);
+          fail("denied");
+          return;
+        }
+
+        if (!(await Location.hasServicesEnabledAsync())) {
+          fail("unavailable", "Location services are turned off.");
+          return;
+        }
 
-      const current = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.Balanced,
-      });
+        const current = await withTimeout(
+          Location.getCurrentPositionAsync({
+            accuracy: Location.Accuracy.Balanced,
+          }),
+          FIRST_FIX_TIMEOUT_MS
+        );
+        if (cancelled) return;
+        handleFix(current);
+        setLocationSource("gps");
+        setLocationStatus("ready");
+        ready = true;
 
-      setCoords(current.coords);
+        const sub = await Location.watchPositionAsync(
+          WATCH_OPTIONS,
+          handleFix,
+          (message) => fail("unavailable", message)
+        );
+        if (cancelled) sub.remove();
+        else subscription = sub;
+      } catch (e) {
+        if (e instanceof LocationTimeoutError) fail("timeout", e.message);
+        else fail("unavailable", e.message);
+      }
     })();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(dwellTimer);
+      subscription?.remove();
+    };
+  }, [locationAttempt]);
+
+  const retryLocation = () => setLocationAttempt((n) => n + 1);
+
+  const resumeLocation = () => {
+    resumingRef.current = true;
+    setWatchError(null);
+    retryLocation();
+  };
+
+  const applyManualLocation = (manualCoords) => {
+    setCoords(manualCoords);
+    setLocationSource("manual");
+    setLocationStatus("ready");
+  };
+
+  // Restore the zoom level from the last session
+  useEffect(() => {
+    AsyncStorage.getItem(ZOOM_STORAGE_KEY)
+      .then((raw) => {
+        const saved = raw ? JSON.parse(raw) : null;
+        if (isValidZoom(saved)) setZoom(saved);
+      })
+      .catch((e) => console.warn("Could not restore map zoom", e));
   }, []);
 
-  const isNative = Platform.OS === "ios" || Platform.OS === "android";
+  // Follow mode keeps the map centered on every new fix
+  useEffect(() => {
+    if (following && coords) {
+      setMapCenter({ latitude: coords.latitude, longitude: coords.longitude });
+    }
+  }, [following, coords]);
+
+  const handleRegionChangeComplete = (next) => {
+    if (
+      mapCenter &&
+      nearlyEqual(next.latitude, mapCenter.latitude) &&
+      nearlyEqual(next.longitude, mapCenter.longitude) &&
+      nearlyEqual(next.latitudeDelta, zoom.latitudeDelta) &&
+      nearlyEqual(next.longitudeDelta, zoom.longitudeDelta)
+    ) {
+      return;
+    }
+
+    setMapCenter({ latitude: next.latitude, longitude: next.longitude });
+    const nextZoom = {
+      latitudeDelta: next.latitudeDelta,
+      longitudeDelta: next.longitudeDelta,
+    };
+    setZoom(nextZoom);
+    AsyncStorage.setItem(ZOOM_STORAGE_KEY, JSON.stringify(nextZoom)).catch(
+      (e) => console.warn("Could not save map zoom", e)
+    );
+  };
+
+  const recenter = () => {
+    setSelectedPoiId(null);
+    setFollowing(true);
+    if (coords) {
+      setMapCenter({ latitude: coords.latitude, longitude: coords.longitude });
+    }
+  };
+
+  // Selecting a POI stops following and centers the map on it
+  const selectPoi = (poi) => {
+    if (selectedPoiId === poi.id) {
+      setSelectedPoiId(null);
+      return;
+    }
+    setSelectedPoiId(poi.id);
+    setFollowing(false);
+    setMapCenter(poi.coordinate);
+  };
+
+  // Re-rank nearby POIs only after moving past the threshold
+  useEffect(() => {
+    if (!coords) return;
+    if (
+      !rankOrigin ||
+      haversineM(rankOrigin, coords) > NEARBY_OPTIONS.refreshThresholdM
+    ) {
+      setRankOrigin({ latitude: coords.latitude, longitude: coords.longitude });
+    }
+  }, [coords, rankOrigin]);
+
+  const nearbyPois = useMemo(
+    () =>
+      rankOrigin
+        ? rankByDistance(rankOrigin, CATALOGUE.pois, NEARBY_OPTIONS.limit)
+        : [],
+    [rankOrigin]
+  );
+
+  // Dedicated position subscription while recording a track
+  useEffect(() => {
+    if (!recording) return;
+    let subscription = null;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const sub = await Location.watchPositionAsync(
+          RECORDING_WATCH_OPTIONS,
+          (location) => {
+            const { latitude, longitude, altitude, accuracy, speed } =
+              location.coords;
+            setTrack((prev) => [
+              ...prev,
+              {
+                latitude,
+                longitude,
+                altitude,
+                accuracy,
+                speed,
+                timestamp: location.timestamp,
+              },
+            ]);
+          }
+        );
+        if (cancelled) sub.remove();
+        else subscription = sub;
+      } catch (e) {
+        if (cancelled) return;
+        setRecording(false);
+        Alert.alert("Recording failed", e.message);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      subscription?.remove();
+    };
+  }, [recording]);
+
+  const toggleRecording = () => {
+    if (!recording) setTrack([]);
+    setRecording((on) => !on);
+  };
+
+  const handleExport = async () => {
+    try {
+      await exportTrackGpx(track);
+    } catch (e) {
+      Alert.alert("Export failed", e.message);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const points = await importTrackGpx();
+      if (points) setTrack(points);
+    } catch (e) {
+      Alert.alert("Import failed", e.message);
+    }
+  };
+
+  // Hide the in-app alert after a few seconds
+  useEffect(() => {
+    if (!regionAlert) return;
+    const timer = setTimeout(() => setRegionAlert(null), ALERT_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [regionAlert]);
 
-  if (!coords) {
+  if (CATALOGUE_ERROR) {
     return (
       <View style={styles.loadingContainer}>
-        <Text style={styles.loadingText}>Loading location…</Text>
+        <Text style={styles.errorTitle}>Map data could not be loaded</Text>
+        {(CATALOGUE_ERROR.problems || [CATALOGUE_ERROR.message]).map(
+          (problem) => (
+            <Text key={problem} style={styles.errorText}>
+              • {problem}
+            </Text>
+          )
+        )}
       </View>
     );
   }
 
+  if (locationStatus !== "ready" || !coords) {
+    return (
+      <LocationStatusScreen
+        status={locationStatus}
+        detail={locationDetail}
+        canAskAgain={canAskAgain}
+        onRetry={retryLocation}
+        onManualLocation={applyManualLocation}
+      />
+    );
+  }
+
+  const center = mapCenter || coords;
   const region = {
-    latitude: coords.latitude,
-    longitude: coords.longitude,
-    latitudeDelta: 0.01,
-    longitudeDelta: 0.01,
+    latitude: center.latitude,
+    longitude: center.longitude,
+    ...zoom,
   };
 
   return (
@@ -124,89 +550,251 @@ export default function App() {
           </Text>
         </Text>
 
+        {watchError && (
+          <Text style={[styles.infoText, styles.watchError]}>
+            Live location stopped: {watchError}{" "}
+            <Text style={styles.linkText} onPress={resumeLocation}>
+              Try again
+            </Text>
+          </Text>
+        )}
+
+        {locationSource === "manual" && (
+          <Text style={[styles.infoText, { marginTop: 4 }]}>
+            Using a manually entered location.{" "}
+            <Text style={styles.linkText} onPress={retryLocation}>
+              Try GPS again
+            </Text>
+          </Text>
+        )}
+
         <Text style={[styles.infoText, { marginTop: 8 }]}>
-          This map shows your location, one nearby restaurant, and regional overlays.
+          This map shows your location, nearby places, and regional overlays.
         </Text>
 
-        {/* Overlay toggle */}
-        {isNative && (
+        {/* Overlay toggle (one button per catalogue region) */}
+        {CATALOGUE.regions.length > 0 && (
           <View style={styles.toggleRow}>
-            <TouchableOpacity
-              style={[
-                styles.toggleButton,
-                activeOverlay === "ipa" && styles.toggleButtonActive,
-              ]}
-              onPress={() => setActiveOverlay("ipa")}
-            >
-              <Text
+            {CATALOGUE.regions.map((r) => (
+              <TouchableOpacity
+                key={r.id}
                 style={[
-                  styles.toggleButtonText,
-                  activeOverlay === "ipa" && styles.toggleButtonTextActive,
+                  styles.toggleButton,
+                  activeOverlay === r.id && styles.toggleButtonActive,
                 ]}
+                onPress={() => setActiveOverlay(r.id)}
               >
-                IPA Fans
-              </Text>
-            </TouchableOpacity>
+                <Text
+                  style={[
+                    styles.toggleButtonText,
+                    activeOverlay === r.id && styles.toggleButtonTextActive,
+                  ]}
+                >
+                  {r.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
 
-            <TouchableOpacity
+        {/* Nearby places toggle + ranked list */}
+        <TouchableOpacity
+          style={[
+            styles.toggleButton,
+            styles.nearbyButton,
+            nearbyMode && styles.toggleButtonActive,
+          ]}
+          onPress={() => {
+            setNearbyMode((on) => !on);
+            setSelectedPoiId(null);
+          }}
+        >
+          <Text
+            style={[
+              styles.toggleButtonText,
+              nearbyMode && styles.toggleButtonTextActive,
+            ]}
+          >
+            Nearby places
+          </Text>
+        </TouchableOpacity>
+
+        {nearbyMode && (
+          <View style={styles.nearbyList}>
+            {nearbyPois.length === 0 && (
+              <Text style={styles.infoText}>No places in the catalogue.</Text>
+            )}
+            {nearbyPois.map((poi) => (
+              <TouchableOpacity
+                key={poi.id}
+                style={[
+                  styles.nearbyRow,
+                  selectedPoiId === poi.id && styles.nearbyRowSelected,
+                ]}
+                onPress={() => selectPoi(poi)}
+              >
+                <Text style={styles.nearbyName}>{poi.name}</Text>
+                <Text style={styles.nearbyMeta}>
+                  {formatDistance(poi.distanceM)} · {compassPoint(poi.bearing)}{" "}
+                  ({Math.round(poi.bearing)}°)
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Track recording + GPX */}
+        <View style={styles.toggleRow}>
+          <TouchableOpacity
+            style={[styles.toggleButton, recording && styles.recordingButton]}
+            disabled={locationSource === "manual"}
+            onPress={toggleRecording}
+          >
+            <Text
               style={[
-                styles.toggleButton,
-                activeOverlay === "stout" && styles.toggleButtonActive,
+                styles.toggleButtonText,
+                recording && styles.toggleButtonTextActive,
               ]}
-              onPress={() => setActiveOverlay("stout")}
             >
+              {recording ? "■ Stop" : "● Record"}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.toggleButton}
+            disabled={recording || track.length === 0}
+            onPress={handleExport}
+          >
+            <Text style={styles.toggleButtonText}>Export GPX</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.toggleButton}
+            disabled={recording}
+            onPress={handleImport}
+          >
+            <Text style={styles.toggleButtonText}>Import GPX</Text>
+          </TouchableOpacity>
+        </View>
+        {track.length > 0 && (
+          <Text style={[styles.infoText, { marginTop: 6 }]}>
+            Track:{" "}
+            <Text style={styles.infoValue}>
+              {formatDistance(trackDistanceM(track))}
+            </Text>{" "}
+            in{" "}
+            <Text style={styles.infoValue}>
+              {formatDuration(trackDurationMs(track))}
+            </Text>{" "}
+            · {track.length} points
+          </Text>
+        )}
+
+        {/* Region entry/exit log */}
+        {regionLog.length > 0 && (
+          <View style={styles.logList}>
+            {regionLog.slice(0, 3).map((event) => (
               <Text
-                style={[
-                  styles.toggleButtonText,
-                  activeOverlay === "stout" &&
-                    styles.toggleButtonTextActive,
-                ]}
+                key={`${event.regionId}-${event.timestamp}`}
+                style={styles.logText}
               >
-                Stout Fans
+                {formatTime(event.timestamp)} ·{" "}
+                {event.type === "enter" ? "Entered" : "Left"} {event.regionName}
               </Text>
-            </TouchableOpacity>
+            ))}
           </View>
         )}
       </View>
 
+      {/* In-app region alert */}
+      {regionAlert && (
+        <View style={styles.alertBanner}>
+          <Text style={styles.alertText}>
+            {regionAlert.type === "enter"
+              ? `You entered the ${regionAlert.regionName} region`
+              : `You left the ${regionAlert.regionName} region`}
+          </Text>
+        </View>
+      )}
+
       {/* Main Map */}
       <MapView
         style={styles.mapView}
         showsUserLocation
-        followUserLocation
         showsPointsOfInterest={false}
-        initialRegion={region}
         region={region}
+        onRegionChangeComplete={handleRegionChangeComplete}
+        onPanDrag={() => setFollowing(false)}
+        // web map only (native maps draw the user dot themselves)
+        userLocation={coords}
+        basemap={WEB_BASEMAP}
+        tileUrlTemplate={WEB_TILE_URL}
+        tileAttribution={WEB_TILE_ATTRIBUTION}
       >
-        {/* --- ONE NEARBY RESTAURANT MARKER (Assignment Requirement) --- */}
-        <Marker
-          title="Nearby Restaurant"
-          description="A local restaurant near your location."
-          coordinate={{
-            latitude: coords.latitude + 0.0012, // small offset to display nearby
-            longitude: coords.longitude + 0.0012,
-          }}
-        />
-
-        {/* --- REGION OVERLAYS --- */}
-        {activeOverlay === "ipa" && (
-          <Polygon
-            coordinates={IPA_REGION}
-            strokeColor="rgba(255, 99, 71, 1)"
-            fillColor="rgba(255, 99, 71, 0.25)"
-            strokeWidth={2}
+        {/* --- POINTS OF INTEREST --- */}
+        {CATALOGUE.pois.map((poi) => (
+          <Marker
+            key={poi.id}
+            title={poi.name}
+            description={poi.description}
+            coordinate={poi.coordinate}
+            pinColor={
+              poi.id === selectedPoiId ? SELECTED_PIN_COLOR : poi.color
+            }
+            zIndex={poi.id === selectedPoiId ? 1 : 0}
+            onPress={() => {
+              if (selectedPoiId !== poi.id) selectPoi(poi);
+            }}
           />
-        )}
+        ))}
 
-        {activeOverlay === "stout" && (
-          <Polygon
-            coordinates={STOUT_REGION}
-            strokeColor="rgba(30, 144, 255, 1)"
-            fillColor="rgba(30, 144, 255, 0.25)"
-            strokeWidth={2}
+        {/* --- RECORDED / IMPORTED TRACK --- */}
+        {track.length > 1 && (
+          <Polyline
+            coordinates={track.map(({ latitude, longitude }) => ({
+              latitude,
+              longitude,
+            }))}
+            strokeColor="#7c3aed"
+            strokeWidth={4}
           />
         )}
+
+        {/* --- REGION OVERLAYS --- */}
+        {CATALOGUE.regions
+          .filter((r) => r.id === activeOverlay)
+          .map((r) => (
+            <Polygon
+              key={r.id}
+              coordinates={r.coordinates}
+              strokeColor={hexToRgba(r.color, 1)}
+              fillColor={hexToRgba(r.color, 0.25)}
+              strokeWidth={2}
+            />
+          ))}
       </MapView>
+
+      {/* Follow / recenter controls */}
+      <View style={styles.mapControls}>
+        <TouchableOpacity
+          style={[styles.mapControlButton, following && styles.toggleButtonActive]}
+          onPress={() => (following ? setFollowing(false) : recenter())}
+        >
+          <Text
+            style={[
+              styles.toggleButtonText,
+              following && styles.toggleButtonTextActive,
+            ]}
+          >
+            {following ? "Following" : "Follow me"}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.mapControlButton}
+          onPress={recenter}
+          accessibilityLabel="Recenter on my location"
+        >
+          <Text style={styles.toggleButtonText}>◎ Recenter</Text>
+        </TouchableOpacity>
+      </View>
     </View>
   );
 }
@@ -223,9 +811,17 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     backgroundColor: "#f3f4f6",
   },
-  loadingText: {
-    fontSize: 16,
-    color: "#4b5563",
+  errorTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: "#b91c1c",
+    paddingHorizontal: 24,
+    marginTop: 4,
   },
   infoPanel: {
     paddingHorizontal: 16,
@@ -244,6 +840,14 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: "#4b5563",
   },
+  linkText: {
+    color: "#2563eb",
+    fontWeight: "500",
+  },
+  watchError: {
+    marginTop: 4,
+    color: "#b91c1c",
+  },
   infoValue: {
     fontWeight: "500",
     color: "#111827",
@@ -275,4 +879,72 @@ const styles = StyleSheet.create({
   mapView: {
     flex: 1,
   },
+  mapControls: {
+    position: "absolute",
+    right: 16,
+    bottom: 24,
+    alignItems: "flex-end",
+  },
+  mapControlButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    backgroundColor: "#ffffff",
+    marginTop: 8,
+  },
+  recordingButton: {
+    backgroundColor: "#dc2626",
+    borderColor: "#dc2626",
+  },
+  nearbyButton: {
+    alignSelf: "flex-start",
+    marginTop: 10,
+  },
+  nearbyList: {
+    marginTop: 8,
+  },
+  nearbyRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  nearbyRowSelected: {
+    backgroundColor: "#fef3c7",
+  },
+  nearbyName: {
+    fontSize: 14,
+    fontWeight: "500",
+    color: "#111827",
+  },
+  nearbyMeta: {
+    fontSize: 13,
+    color: "#4b5563",
+  },
+  logList: {
+    marginTop: 10,
+  },
+  logText: {
+    fontSize: 12,
+    color: "#6b7280",
+  },
+  alertBanner: {
+    position: "absolute",
+    top: 12,
+    left: 16,
+    right: 16,
+    zIndex: 10,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 10,
+    backgroundColor: "#111827",
+  },
+  alertText: {
+    color: "#f9fafb",
+    fontSize: 14,
+    fontWeight: "500",
+  },
 });
@@ -0,0 +1,163 @@
+import {
+  createGeofenceEngine,
+  distanceToEdgeM,
+  pointInPolygon,
+  simulateGeofence,
+} from "../geofence";
+
+// ~220 m square on the equator (0.001 deg is ~111 m)
+const SQUARE = {
+  id: "square",
+  name: "Square",
+  coordinates: [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 0.002 },
+    { latitude: 0.002, longitude: 0.002 },
+    { latitude: 0.002, longitude: 0 },
+  ],
+};
+
+const CENTER = { latitude: 0.001, longitude: 0.001 };
+const FAR_OUTSIDE = { latitude: 0.001, longitude: 0.004 };
+// ~5.5 m past the east edge: outside, but within the 10 m hysteresis band
+const JUST_OUTSIDE = { latitude: 0.001, longitude: 0.00205 };
+
+const OPTIONS = { maxAccuracyM: 50, dwellMs: 10000, hysteresisM: 10 };
+
+// One fix per second of the given point, from `start` (seconds)
+const fixes = (point, start, count, accuracy = 5) =>
+  Array.from({ length: count }, (_, i) => ({
+    ...point,
+    accuracy,
+    timestamp: (start + i) * 1000,
+  }));
+
+const types = (events) => events.map((e) => e.type);
+
+describe("geometry", () => {
+  test("pointInPolygon", () => {
+    expect(pointInPolygon(CENTER, SQUARE.coordinates)).toBe(true);
+    expect(pointInPolygon(FAR_OUTSIDE, SQUARE.coordinates)).toBe(false);
+    expect(pointInPolygon(JUST_OUTSIDE, SQUARE.coordinates)).toBe(false);
+  });
+
+  test("distanceToEdgeM", () => {
+    expect(distanceToEdgeM(JUST_OUTSIDE, SQUARE.coordinates)).toBeCloseTo(
+      5.56,
+      1
+    );
+    expect(distanceToEdgeM(CENTER, SQUARE.coordinates)).toBeCloseTo(111.2, 0);
+  });
+});
+
+describe("createGeofenceEngine", () => {
+  test("enters and exits once each crossing has dwelled", () => {
+    const events = simulateGeofence(
+      [SQUARE],
+      [
+        ...fixes(FAR_OUTSIDE, 0, 5),
+        ...fixes(CENTER, 5, 11),
+        ...fixes(FAR_OUTSIDE, 16, 11),
+      ],
+      OPTIONS
+    );
+    expect(events).toEqual([
+      {
+        type: "enter",
+        regionId: "square",
+        regionName: "Square",
+        timestamp: 15000,
+      },
+      {
+        type: "exit",
+        regionId: "square",
+        regionName: "Square",
+        timestamp: 26000,
+      },
+    ]);
+  });
+
+  test("a visit shorter than dwellMs fires nothing", () => {
+    const events = simulateGeofence(
+      [SQUARE],
+      [
+        ...fixes(FAR_OUTSIDE, 0, 5),
+        ...fixes(CENTER, 5, 9),
+        ...fixes(FAR_OUTSIDE, 14, 20),
+      ],
+      OPTIONS
+    );
+    expect(events).toEqual([]);
+  });
+
+  test("fixes inside the hysteresis band don't cause an exit", () => {
+    const events = simulateGeofence(
+      [SQUARE],
+      [...fixes(CENTER, 0, 1), ...fixes(JUST_OUTSIDE, 1, 30)],
+      OPTIONS
+    );
+    expect(events).toEqual([]);
+  });
+
+  test("a near-edge fix resets a pending crossing", () => {
+    const events = simulateGeofence(
+      [SQUARE],
+      [
+        ...fixes(CENTER, 0, 1),
+        ...fixes(FAR_OUTSIDE, 1, 6),
+        ...fixes(JUST_OUTSIDE, 7, 1),
+        ...fixes(FAR_OUTSIDE, 8, 6),
+      ],
+      OPTIONS
+    );
+    expect(events).toEqual([]);
+  });
+
+  test("drops fixes less accurate than maxAccuracyM", () => {
+    const events = simulateGeofence(
+      [SQUARE],
+      [...fixes(FAR_OUTSIDE, 0, 1), ...fixes(CENTER, 1, 20, 80)],
+      OPTIONS
+    );
+    expect(events).toEqual([]);
+
+    const engine = createGeofenceEngine([SQUARE], OPTIONS);
+    engine.update(fixes(FAR_OUTSIDE, 0, 1)[0]);
+    engine.update(fixes(CENTER, 1, 1, 80)[0]);
+    expect(engine.nextDeadline()).toBeNull();
+  });
+
+  test("launching inside a region sets the starting side without an event", () => {
+    const engine = createGeofenceEngine([SQUARE], OPTIONS);
+    expect(fixes(CENTER, 0, 20).flatMap(engine.update)).toEqual([]);
+    expect(engine.isInside("square")).toBe(true);
+
+    // ...and leaving it afterwards is a real exit
+    expect(types(fixes(FAR_OUTSIDE, 20, 11).flatMap(engine.update))).toEqual([
+      "exit",
+    ]);
+  });
+
+  test("an inaccurate first fix doesn't set the starting side", () => {
+    const engine = createGeofenceEngine([SQUARE], OPTIONS);
+    engine.update(fixes(FAR_OUTSIDE, 0, 1, 80)[0]);
+    expect(types(fixes(CENTER, 1, 20).flatMap(engine.update))).toEqual([]);
+    expect(engine.isInside("square")).toBe(true);
+  });
+
+  test("tick() confirms a crossing when no new fix arrives", () => {
+    const engine = createGeofenceEngine([SQUARE], OPTIONS);
+    engine.update(fixes(FAR_OUTSIDE, 0, 1)[0]);
+    expect(engine.nextDeadline()).toBeNull();
+
+    // One fix inside, then the user stands still and fixes stop
+    expect(engine.update(fixes(CENTER, 2, 1)[0])).toEqual([]);
+    expect(engine.nextDeadline()).toBe(12000);
+
+    expect(engine.tick(11999)).toEqual([]);
+    expect(types(engine.tick(12000))).toEqual(["enter"]);
+    expect(engine.isInside("square")).toBe(true);
+    expect(engine.nextDeadline()).toBeNull();
+    expect(engine.tick(20000)).toEqual([]);
+  });
+});
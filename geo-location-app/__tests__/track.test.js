@@ -0,0 +1,49 @@
+import { parseGpx, toGpx } from "../track";
+
+const POINTS = [
+  {
+    latitude: 51.5007,
+    longitude: -0.1246,
+    altitude: 12,
+    accuracy: 4.5,
+    speed: 1.2,
+    timestamp: Date.UTC(2025, 9, 19, 8, 0, 0),
+  },
+  {
+    latitude: 51.501,
+    longitude: -0.125,
+    altitude: null,
+    accuracy: null,
+    speed: null,
+    timestamp: Date.UTC(2025, 9, 19, 8, 0, 5),
+  },
+];
+
+test("extensions use the app's namespace, not bare GPX elements", () => {
+  const gpx = toGpx(POINTS);
+  expect(gpx).toMatch(/<gpx [^>]*xmlns:geo="[^"]+"/);
+  expect(gpx).toContain(
+    "<extensions><geo:accuracy>4.5</geo:accuracy><geo:speed>1.2</geo:speed></extensions>"
+  );
+  expect(gpx).not.toMatch(/<(accuracy|speed)>/);
+});
+
+test("round-trips through parseGpx", () => {
+  expect(parseGpx(toGpx(POINTS))).toEqual(POINTS);
+});
+
+test("still reads the unprefixed tags older exports wrote", () => {
+  const old = `<gpx version="1.1"><trk><trkseg>
+    <trkpt lat="1" lon="2"><extensions><accuracy>7</accuracy><speed>0.5</speed></extensions></trkpt>
+  </trkseg></trk></gpx>`;
+  expect(parseGpx(old)).toEqual([
+    {
+      latitude: 1,
+      longitude: 2,
+      altitude: null,
+      accuracy: 7,
+      speed: 0.5,
+      timestamp: null,
+    },
+  ]);
+});
@@ -0,0 +1,170 @@
+// catalogue.js
+// - Turns a GeoJSON FeatureCollection into map regions and points of interest
+// - Polygon features -> regions, Point features -> POIs
+// - Validates everything up front and reports every problem at once
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const DEFAULT_REGION_COLOR = "#6B7280";
+const DEFAULT_POI_COLOR = "#DC2626";
+
+export class CatalogueError extends Error {
+  constructor(problems) {
+    super(`Invalid map catalogue:\n- ${problems.join("\n- ")}`);
+    this.name = "CatalogueError";
+    this.problems = problems;
+  }
+}
+
+// "#RRGGBB" / "#RGB" -> "rgba(r, g, b, alpha)"
+export function hexToRgba(hex, alpha = 1) {
+  let digits = hex.slice(1);
+  if (digits.length === 3) {
+    digits = digits
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  const value = parseInt(digits, 16);
+  const r = (value >> 16) & 255;
+  const g = (value >> 8) & 255;
+  const b = value & 255;
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// --- VALIDATION HELPERS ---
+function checkPosition(position, where, problems) {
+  if (
+    !Array.isArray(position) ||
+    position.length < 2 ||
+    !Number.isFinite(position[0]) ||
+    !Number.isFinite(position[1])
+  ) {
+    problems.push(`${where}: position must be [longitude, latitude] numbers`);
+    return null;
+  }
+  const [longitude, latitude] = position;
+  if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+    problems.push(
+      `${where}: [${longitude}, ${latitude}] is outside valid longitude/latitude ranges`
+    );
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+function parseRing(ring, where, problems) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    problems.push(`${where}: a polygon ring needs at least 4 positions`);
+    return null;
+  }
+
+  const points = ring.map((p, i) =>
+    checkPosition(p, `${where}, position ${i}`, problems)
+  );
+  if (points.some((p) => p == null)) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first.latitude !== last.latitude || first.longitude !== last.longitude) {
+    problems.push(
+      `${where}: ring is not closed (first and last positions differ)`
+    );
+    return null;
+  }
+  // MapView polygons close themselves; drop the repeated closing point
+  return points.slice(0, -1);
+}
+
+function readColor(properties, fallback, where, problems) {
+  if (properties.color == null) return fallback;
+  if (
+    typeof properties.color !== "string" ||
+    !HEX_COLOR.test(properties.color)
+  ) {
+    problems.push(
+      `${where}: color "${properties.color}" must be a hex value like #FF6347`
+    );
+    return fallback;
+  }
+  return properties.color;
+}
+
+// --- PARSER ---
+// Returns { regions: [{ id, name, color, coordinates }],
+//           pois: [{ id, name, description, category, color, coordinate }] }
+// or throws a CatalogueError listing every problem found.
+export function parseCatalogue(geojson) {
+  const problems = [];
+  const regions = [];
+  const pois = [];
+  const seenIds = new Set();
+
+  if (!geojson || geojson.type !== "FeatureCollection") {
+    throw new CatalogueError(["root: expected a GeoJSON FeatureCollection"]);
+  }
+  if (!Array.isArray(geojson.features)) {
+    throw new CatalogueError(["root: `features` must be an array"]);
+  }
+
+  geojson.features.forEach((feature, index) => {
+    const properties = (feature && feature.properties) || {};
+    const where = `feature ${index}${properties.name ? ` ("${properties.name}")` : ""}`;
+    const geometry = feature && feature.geometry;
+
+    if (!feature || feature.type !== "Feature" || !geometry) {
+      problems.push(`${where}: expected a Feature with a geometry`);
+      return;
+    }
+    if (typeof properties.name !== "string" || !properties.name.trim()) {
+      problems.push(`${where}: properties.name is required`);
+      return;
+    }
+
+    const id =
+      properties.id != null ? String(properties.id) : `feature-${index}`;
+    if (seenIds.has(id)) {
+      problems.push(`${where}: duplicate id "${id}"`);
+      return;
+    }
+    seenIds.add(id);
+
+    if (geometry.type === "Polygon") {
+      if (
+        !Array.isArray(geometry.coordinates) ||
+        geometry.coordinates.length === 0
+      ) {
+        problems.push(
+          `${where}: Polygon coordinates must contain at least one ring`
+        );
+        return;
+      }
+      // Only the outer ring is drawn; holes are ignored
+      const coordinates = parseRing(geometry.coordinates[0], where, problems);
+      if (!coordinates) return;
+      regions.push({
+        id,
+        name: properties.name,
+        color: readColor(properties, DEFAULT_REGION_COLOR, where, problems),
+        coordinates,
+      });
+    } else if (geometry.type === "Point") {
+      const coordinate = checkPosition(geometry.coordinates, where, problems);
+      if (!coordinate) return;
+      pois.push({
+        id,
+        name: properties.name,
+        description: properties.description || "",
+        category: properties.category || "place",
+        color: readColor(properties, DEFAULT_POI_COLOR, where, problems),
+        coordinate,
+      });
+    } else {
+      problems.push(
+        `${where}: unsupported geometry type "${geometry.type}" (use Polygon or Point)`
+      );
+    }
+  });
+
+  if (problems.length > 0) throw new CatalogueError(problems);
+  return { regions, pois };
+}
@@ -0,0 +1,224 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Linking,
+  ActivityIndicator,
+  Platform,
+} from "react-native";
+
+// What to tell the user for every non-ready location state
+const STATUS_COPY = {
+  requesting: {
+    title: "Finding your location…",
+    body: "Waiting for permission and a first GPS fix.",
+  },
+  denied: {
+    title: "Location permission needed",
+    body:
+      "This app uses your location to center the map, rank nearby places and alert you about regions. " +
+      "You can allow access in Settings, or enter a location by hand below.",
+  },
+  unavailable: {
+    title: "Location unavailable",
+    body:
+      "Location services seem to be turned off or your position couldn't be determined. " +
+      "Check that location is enabled, then try again.",
+  },
+  timeout: {
+    title: "Location is taking too long",
+    body:
+      "We couldn't get a GPS fix in time. Moving somewhere with a clearer view of the sky can help.",
+  },
+};
+
+// Parses the manual form; returns coords or an error message
+function parseManualLocation(latText, lonText) {
+  const latitude = Number(latText.trim());
+  const longitude = Number(lonText.trim());
+  if (latText.trim() === "" || lonText.trim() === "") {
+    return { error: "Enter both latitude and longitude." };
+  }
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    return { error: "Latitude must be a number between -90 and 90." };
+  }
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return { error: "Longitude must be a number between -180 and 180." };
+  }
+  return { coords: { latitude, longitude, accuracy: null } };
+}
+
+// Full-screen explanation + actions while location isn't ready
+const LocationStatusScreen = ({
+  status,
+  detail,
+  canAskAgain = true,
+  onRetry,
+  onManualLocation,
+}) => {
+  const [showManual, setShowManual] = useState(false);
+  const [latText, setLatText] = useState("");
+  const [lonText, setLonText] = useState("");
+  const [formError, setFormError] = useState(null);
+
+  const copy = STATUS_COPY[status] || STATUS_COPY.unavailable;
+  const busy = status === "requesting";
+  // Browsers have no settings screen to open
+  const canOpenSettings =
+    (status === "denied" || status === "unavailable") && Platform.OS !== "web";
+
+  const submitManual = () => {
+    const result = parseManualLocation(latText, lonText);
+    if (result.error) {
+      setFormError(result.error);
+      return;
+    }
+    setFormError(null);
+    onManualLocation(result.coords);
+  };
+
+  return (
+    <View style={styles.container}>
+      {busy && <ActivityIndicator style={styles.spinner} />}
+      <Text style={styles.title}>{copy.title}</Text>
+      <Text style={styles.body}>{copy.body}</Text>
+      {detail ? <Text style={styles.detail}>{detail}</Text> : null}
+
+      {!busy && (
+        <View style={styles.actions}>
+          {/* Once the OS stops prompting, only Settings can grant access */}
+          {(status !== "denied" || canAskAgain) && (
+            <TouchableOpacity style={styles.primaryButton} onPress={onRetry}>
+              <Text style={styles.primaryButtonText}>Try again</Text>
+            </TouchableOpacity>
+          )}
+          {canOpenSettings && (
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => Linking.openSettings()}
+            >
+              <Text style={styles.secondaryButtonText}>Open Settings</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.linkButton}
+            onPress={() => setShowManual((v) => !v)}
+          >
+            <Text style={styles.linkText}>
+              {showManual ? "Hide manual entry" : "Enter a location manually"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {showManual && !busy && (
+        <View style={styles.form}>
+          <TextInput
+            style={styles.input}
+            placeholder="Latitude (e.g. 43.8410)"
+            keyboardType="numbers-and-punctuation"
+            value={latText}
+            onChangeText={setLatText}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Longitude (e.g. -79.0860)"
+            keyboardType="numbers-and-punctuation"
+            value={lonText}
+            onChangeText={setLonText}
+          />
+          {formError && <Text style={styles.formError}>{formError}</Text>}
+          <TouchableOpacity style={styles.primaryButton} onPress={submitManual}>
+            <Text style={styles.primaryButtonText}>Use this location</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: "center",
+    paddingHorizontal: 24,
+    backgroundColor: "#f3f4f6",
+  },
+  spinner: {
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#111827",
+    marginBottom: 8,
+    textAlign: "center",
+  },
+  body: {
+    fontSize: 14,
+    color: "#4b5563",
+    textAlign: "center",
+  },
+  detail: {
+    fontSize: 12,
+    color: "#9ca3af",
+    textAlign: "center",
+    marginTop: 6,
+  },
+  actions: {
+    marginTop: 20,
+    alignItems: "stretch",
+  },
+  primaryButton: {
+    backgroundColor: "#111827",
+    paddingVertical: 10,
+    borderRadius: 999,
+    marginTop: 8,
+  },
+  primaryButtonText: {
+    color: "#f9fafb",
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    paddingVertical: 10,
+    borderRadius: 999,
+    marginTop: 8,
+  },
+  secondaryButtonText: {
+    color: "#111827",
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  linkButton: {
+    marginTop: 12,
+  },
+  linkText: {
+    color: "#2563eb",
+    textAlign: "center",
+  },
+  form: {
+    marginTop: 12,
+  },
+  input: {
+    backgroundColor: "#ffffff",
+    borderWidth: 1,
+    borderColor: "#d1d5db",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginTop: 8,
+  },
+  formError: {
+    color: "#b91c1c",
+    fontSize: 13,
+    marginTop: 6,
+  },
+});
+
+export default LocationStatusScreen;
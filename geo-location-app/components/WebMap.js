@@ -0,0 +1,573 @@
+// WebMap.js
+// Web stand-in for react-native-maps with the same MapView / Marker /
+// Polygon / Polyline props the app uses. Draws a Web Mercator vector map
+// (water from a bundled GeoJSON basemap, graticule, overlays, markers,
+// scale bar) with react-native-svg and can lay raster tiles from a local
+// tile server underneath instead (tileUrlTemplate).
+// Drag to pan, +/- to zoom; region / initialRegion / onRegionChangeComplete
+// / onPanDrag behave like the native MapView.
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  PanResponder,
+  TouchableOpacity,
+} from "react-native";
+import Svg, {
+  Circle,
+  G,
+  Line,
+  Path,
+  Polygon as SvgPolygon,
+  Polyline as SvgPolyline,
+} from "react-native-svg";
+
+const TILE_SIZE = 256;
+const MAX_TILE_ZOOM = 19;
+const MIN_LONGITUDE_DELTA = 0.0005;
+const MAX_LONGITUDE_DELTA = 120;
+const MAX_LATITUDE = 85.05112878;
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+const SCALE_BAR_TARGET_PX = 100;
+
+const MapContext = createContext(null);
+
+// --- WEB MERCATOR (world coordinates in 0..1) ---
+function toWorld({ latitude, longitude }) {
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: (longitude + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI),
+  };
+}
+
+function fromWorld({ x, y }) {
+  const n = Math.PI - 2 * Math.PI * y;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: x * 360 - 180,
+  };
+}
+
+// Screen <-> lat/lng for a region drawn into a width x height view.
+// `offset` is the in-progress drag, in pixels.
+function createProjection(region, width, height, offset = { dx: 0, dy: 0 }) {
+  const worldSize = (width * 360) / region.longitudeDelta;
+  const c = toWorld(region);
+  const center = {
+    x: c.x - offset.dx / worldSize,
+    y: c.y - offset.dy / worldSize,
+  };
+
+  const project = (coordinate) => {
+    const w = toWorld(coordinate);
+    return {
+      x: (w.x - center.x) * worldSize + width / 2,
+      y: (w.y - center.y) * worldSize + height / 2,
+    };
+  };
+  const unproject = (point) =>
+    fromWorld({
+      x: center.x + (point.x - width / 2) / worldSize,
+      y: center.y + (point.y - height / 2) / worldSize,
+    });
+
+  return { width, height, worldSize, center, project, unproject };
+}
+
+// Region (center + deltas) that the projection currently shows
+function regionFromProjection(projection) {
+  const { width, height, unproject } = projection;
+  const middle = unproject({ x: width / 2, y: height / 2 });
+  const top = unproject({ x: 0, y: 0 });
+  const bottom = unproject({ x: width, y: height });
+  return {
+    latitude: middle.latitude,
+    longitude: middle.longitude,
+    latitudeDelta: top.latitude - bottom.latitude,
+    longitudeDelta: bottom.longitude - top.longitude,
+  };
+}
+
+// 1, 2 or 5 x 10^n so roughly `count` steps fit in `range`
+function niceStep(range, count) {
+  const raw = range / count;
+  const pow = 10 ** Math.floor(Math.log10(raw));
+  const unit = raw / pow;
+  return (unit < 1.5 ? 1 : unit < 3.5 ? 2 : unit < 7.5 ? 5 : 10) * pow;
+}
+
+function sameRegion(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.latitude === b.latitude &&
+    a.longitude === b.longitude &&
+    a.latitudeDelta === b.latitudeDelta &&
+    a.longitudeDelta === b.longitudeDelta
+  );
+}
+
+// --- LAYERS ---
+function Tiles({ projection, template }) {
+  const { worldSize, center, width, height } = projection;
+  const zoom = Math.max(
+    0,
+    Math.min(MAX_TILE_ZOOM, Math.floor(Math.log2(worldSize / TILE_SIZE)))
+  );
+  const tileCount = 2 ** zoom;
+  const tilePx = worldSize / tileCount;
+
+  const left = center.x - width / 2 / worldSize;
+  const top = center.y - height / 2 / worldSize;
+  const firstX = Math.floor(left * tileCount);
+  const firstY = Math.max(0, Math.floor(top * tileCount));
+  const lastX = Math.floor((left + width / worldSize) * tileCount);
+  const lastY = Math.min(
+    tileCount - 1,
+    Math.floor((top + height / worldSize) * tileCount)
+  );
+
+  const tiles = [];
+  for (let tx = firstX; tx <= lastX; tx++) {
+    for (let ty = firstY; ty <= lastY; ty++) {
+      const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+      const uri = template
+        .replace("{z}", zoom)
+        .replace("{x}", wrappedX)
+        .replace("{y}", ty);
+      tiles.push(
+        <Image
+          key={`${zoom}/${tx}/${ty}`}
+          source={{ uri }}
+          style={{
+            position: "absolute",
+            left: (tx / tileCount - center.x) * worldSize + width / 2,
+            top: (ty / tileCount - center.y) * worldSize + height / 2,
+            width: tilePx,
+            height: tilePx,
+          }}
+        />
+      );
+    }
+  }
+  return <View style={StyleSheet.absoluteFill}>{tiles}</View>;
+}
+
+// Basemap polygons (GeoJSON Polygon / MultiPolygon features) with their
+// bounding boxes, so off-screen ones can be skipped while panning
+function basemapShapes(basemap) {
+  const shapes = [];
+  (basemap?.features || []).forEach((feature) => {
+    const { type, coordinates } = feature.geometry || {};
+    let polygons = [];
+    if (type === "Polygon") polygons = [coordinates];
+    if (type === "MultiPolygon") polygons = coordinates;
+    polygons.forEach((rings) => {
+      const points = rings.flat();
+      const lons = points.map((p) => p[0]);
+      const lats = points.map((p) => p[1]);
+      shapes.push({
+        kind: feature.properties?.kind,
+        rings,
+        west: Math.min(...lons),
+        east: Math.max(...lons),
+        south: Math.min(...lats),
+        north: Math.max(...lats),
+      });
+    });
+  });
+  return shapes;
+}
+
+const BASEMAP_FILL = { water: "#bfdbfe" };
+
+function Basemap({ projection, shapes }) {
+  const { width, height, project, unproject } = projection;
+  const topLeft = unproject({ x: 0, y: 0 });
+  const bottomRight = unproject({ x: width, y: height });
+
+  return (
+    <G>
+      {shapes
+        .filter(
+          (shape) =>
+            shape.east >= topLeft.longitude &&
+            shape.west <= bottomRight.longitude &&
+            shape.north >= bottomRight.latitude &&
+            shape.south <= topLeft.latitude
+        )
+        .map((shape, index) => {
+          // holes (islands) are cut out by the even-odd rule
+          const d = shape.rings
+            .map(
+              (ring) =>
+                ring
+                  .map(([longitude, latitude], i) => {
+                    const { x, y } = project({ latitude, longitude });
+                    return `${i === 0 ? "M" : "L"}${x},${y}`;
+                  })
+                  .join("") + "Z"
+            )
+            .join("");
+          return (
+            <Path
+              key={index}
+              d={d}
+              fill={BASEMAP_FILL[shape.kind] || "#e5e7eb"}
+              fillRule="evenodd"
+            />
+          );
+        })}
+    </G>
+  );
+}
+
+const LINE = { stroke: "#d1d5db", strokeWidth: 1 };
+
+function Graticule({ projection }) {
+  const { width, height, project, unproject } = projection;
+  const topLeft = unproject({ x: 0, y: 0 });
+  const bottomRight = unproject({ x: width, y: height });
+  const lonStep = niceStep(bottomRight.longitude - topLeft.longitude, 5);
+  const latStep = niceStep(topLeft.latitude - bottomRight.latitude, 5);
+
+  const lines = [];
+  for (
+    let lon = Math.ceil(topLeft.longitude / lonStep) * lonStep;
+    lon <= bottomRight.longitude;
+    lon += lonStep
+  ) {
+    const { x } = project({ latitude: topLeft.latitude, longitude: lon });
+    lines.push(
+      <Line key={`lon${lon}`} x1={x} y1={0} x2={x} y2={height} {...LINE} />
+    );
+  }
+  for (
+    let lat = Math.ceil(bottomRight.latitude / latStep) * latStep;
+    lat <= topLeft.latitude;
+    lat += latStep
+  ) {
+    const { y } = project({ latitude: lat, longitude: topLeft.longitude });
+    lines.push(
+      <Line key={`lat${lat}`} x1={0} y1={y} x2={width} y2={y} {...LINE} />
+    );
+  }
+  return <G>{lines}</G>;
+}
+
+function ScaleBar({ projection, region }) {
+  const metersPerPx =
+    (EARTH_CIRCUMFERENCE_M * Math.cos((region.latitude * Math.PI) / 180)) /
+    projection.worldSize;
+  const meters = niceStep(metersPerPx * SCALE_BAR_TARGET_PX, 1);
+  const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+
+  return (
+    <View style={styles.scaleBar} pointerEvents="none">
+      <View style={[styles.scaleLine, { width: meters / metersPerPx }]} />
+      <Text style={styles.scaleText}>{label}</Text>
+    </View>
+  );
+}
+
+// --- MAP VIEW ---
+export default function MapView({
+  style,
+  children,
+  region,
+  initialRegion,
+  onRegionChangeComplete,
+  onPanDrag,
+  showsUserLocation,
+  userLocation,
+  basemap,
+  tileUrlTemplate,
+  tileAttribution,
+}) {
+  const [size, setSize] = useState(null);
+  const [viewRegion, setViewRegion] = useState(region || initialRegion);
+  const [drag, setDrag] = useState({ dx: 0, dy: 0 });
+  const [callout, setCallout] = useState(null);
+  const shapes = useMemo(() => basemapShapes(basemap), [basemap]);
+  const projectionRef = useRef(null);
+  const onChangeRef = useRef(onRegionChangeComplete);
+  onChangeRef.current = onRegionChangeComplete;
+  const onPanDragRef = useRef(onPanDrag);
+  onPanDragRef.current = onPanDrag;
+
+  // Controlled `region` moves the map, like react-native-maps
+  const lastRegionProp = useRef(region);
+  useEffect(() => {
+    if (region && !sameRegion(region, lastRegionProp.current)) {
+      setViewRegion(region);
+    }
+    lastRegionProp.current = region;
+  }, [region]);
+
+  const commitRegion = (next) => {
+    setViewRegion(next);
+    onChangeRef.current?.(next);
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      // leave taps to markers; only claim real drags
+      onMoveShouldSetPanResponder: (_, g) =>
+        Math.abs(g.dx) > 4 || Math.abs(g.dy) > 4,
+      onPanResponderGrant: () => {
+        setCallout(null);
+        onPanDragRef.current?.();
+      },
+      onPanResponderMove: (_, g) => setDrag({ dx: g.dx, dy: g.dy }),
+      onPanResponderRelease: () => {
+        // projection still includes the drag offset at this point
+        if (projectionRef.current) {
+          commitRegion(regionFromProjection(projectionRef.current));
+        }
+        setDrag({ dx: 0, dy: 0 });
+      },
+      onPanResponderTerminate: () => setDrag({ dx: 0, dy: 0 }),
+    })
+  ).current;
+
+  const zoomBy = (factor) => {
+    const longitudeDelta = Math.max(
+      MIN_LONGITUDE_DELTA,
+      Math.min(MAX_LONGITUDE_DELTA, viewRegion.longitudeDelta * factor)
+    );
+    commitRegion({
+      ...viewRegion,
+      longitudeDelta,
+      latitudeDelta:
+        viewRegion.latitudeDelta * (longitudeDelta / viewRegion.longitudeDelta),
+    });
+  };
+
+  const projection =
+    size && viewRegion
+      ? createProjection(viewRegion, size.width, size.height, drag)
+      : null;
+  projectionRef.current = projection;
+
+  const calloutPoint =
+    projection && callout ? projection.project(callout.coordinate) : null;
+
+  return (
+    <View
+      style={[style, styles.container]}
+      onLayout={(e) => setSize(e.nativeEvent.layout)}
+      {...panResponder.panHandlers}
+    >
+      {projection && (
+        <>
+          {tileUrlTemplate && (
+            <Tiles projection={projection} template={tileUrlTemplate} />
+          )}
+          <Svg
+            width={projection.width}
+            height={projection.height}
+            style={StyleSheet.absoluteFill}
+          >
+            {!tileUrlTemplate && (
+              <>
+                <Basemap projection={projection} shapes={shapes} />
+                <Graticule projection={projection} />
+              </>
+            )}
+            <MapContext.Provider value={{ projection, setCallout }}>
+              {children}
+            </MapContext.Provider>
+            {showsUserLocation && userLocation && (
+              <UserDot projection={projection} coordinate={userLocation} />
+            )}
+          </Svg>
+
+          {calloutPoint && (
+            <View
+              pointerEvents="none"
+              style={[
+                styles.callout,
+                { left: calloutPoint.x - 90, top: calloutPoint.y - 70 },
+              ]}
+            >
+              <Text style={styles.calloutTitle}>{callout.title}</Text>
+              {callout.description ? (
+                <Text style={styles.calloutText}>{callout.description}</Text>
+              ) : null}
+            </View>
+          )}
+
+          <ScaleBar projection={projection} region={viewRegion} />
+          {(tileUrlTemplate || shapes.length > 0) && tileAttribution ? (
+            <Text style={styles.attribution}>{tileAttribution}</Text>
+          ) : null}
+        </>
+      )}
+
+      <View style={styles.zoomControls}>
+        <TouchableOpacity style={styles.zoomButton} onPress={() => zoomBy(0.5)}>
+          <Text style={styles.zoomText}>+</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.zoomButton} onPress={() => zoomBy(2)}>
+          <Text style={styles.zoomText}>−</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+function UserDot({ projection, coordinate }) {
+  const { x, y } = projection.project(coordinate);
+  return (
+    <G>
+      <Circle cx={x} cy={y} r={14} fill="rgba(37, 99, 235, 0.2)" />
+      <Circle
+        cx={x}
+        cy={y}
+        r={6}
+        fill="#2563eb"
+        stroke="#fff"
+        strokeWidth={2}
+      />
+    </G>
+  );
+}
+
+// --- OVERLAYS ---
+export function Marker({ coordinate, title, description, pinColor, onPress }) {
+  const { projection, setCallout } = useContext(MapContext);
+  const { x, y } = projection.project(coordinate);
+
+  return (
+    <G
+      onPress={() => {
+        if (title) setCallout({ coordinate, title, description });
+        onPress?.();
+      }}
+    >
+      <Circle
+        cx={x}
+        cy={y}
+        r={9}
+        fill={pinColor || "#DC2626"}
+        stroke="#fff"
+        strokeWidth={2}
+      />
+      <Circle cx={x} cy={y} r={3} fill="#fff" />
+    </G>
+  );
+}
+
+function toPoints(projection, coordinates) {
+  return coordinates
+    .map((c) => {
+      const { x, y } = projection.project(c);
+      return `${x},${y}`;
+    })
+    .join(" ");
+}
+
+export function Polygon({ coordinates, strokeColor, fillColor, strokeWidth }) {
+  const { projection } = useContext(MapContext);
+  return (
+    <SvgPolygon
+      points={toPoints(projection, coordinates)}
+      stroke={strokeColor || "#000"}
+      fill={fillColor || "transparent"}
+      strokeWidth={strokeWidth || 1}
+    />
+  );
+}
+
+export function Polyline({ coordinates, strokeColor, strokeWidth }) {
+  const { projection } = useContext(MapContext);
+  return (
+    <SvgPolyline
+      points={toPoints(projection, coordinates)}
+      stroke={strokeColor || "#000"}
+      fill="none"
+      strokeWidth={strokeWidth || 1}
+      strokeLinejoin="round"
+      strokeLinecap="round"
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: "hidden",
+    backgroundColor: "#f5f3ea", // land; the basemap draws water on top
+  },
+  callout: {
+    position: "absolute",
+    width: 180,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: "#ffffff",
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: "#d1d5db",
+  },
+  calloutTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#111827",
+  },
+  calloutText: {
+    fontSize: 12,
+    color: "#4b5563",
+  },
+  zoomControls: {
+    position: "absolute",
+    top: 12,
+    right: 12,
+  },
+  zoomButton: {
+    width: 32,
+    height: 32,
+    marginBottom: 6,
+    borderRadius: 6,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#ffffff",
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: "#d1d5db",
+  },
+  zoomText: {
+    fontSize: 18,
+    color: "#111827",
+  },
+  scaleBar: {
+    position: "absolute",
+    left: 12,
+    bottom: 12,
+  },
+  scaleLine: {
+    height: 4,
+    borderWidth: 1,
+    borderTopWidth: 0,
+    borderColor: "#111827",
+  },
+  scaleText: {
+    fontSize: 11,
+    color: "#111827",
+  },
+  attribution: {
+    position: "absolute",
+    right: 6,
+    bottom: 4,
+    fontSize: 10,
+    color: "#4b5563",
+  },
+});
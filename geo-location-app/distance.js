@@ -0,0 +1,55 @@
+// distance.js
+// - Great-circle distance (haversine) and initial bearing between two points
+// - Ranks points of interest by distance from a location
+
+// Mean Earth radius (m); shared with geofence.js along with toRad
+export const EARTH_RADIUS_M = 6371000;
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+export const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Meters between { latitude, longitude } points
+export function haversineM(a, b) {
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) *
+      Math.cos(toRad(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial bearing from a to b, 0–360° clockwise from north
+export function bearingDeg(a, b) {
+  const lat1 = toRad(a.latitude);
+  const lat2 = toRad(b.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x =
+    Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+export function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+}
+
+export function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+}
+
+// The `limit` closest pois to origin, each with distanceM + bearing added
+export function rankByDistance(origin, pois, limit) {
+  return pois
+    .map((poi) => ({
+      ...poi,
+      distanceM: haversineM(origin, poi.coordinate),
+      bearing: bearingDeg(origin, poi.coordinate),
+    }))
+    .sort((a, b) => a.distanceM - b.distanceM)
+    .slice(0, limit);
+}
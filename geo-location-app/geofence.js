@@ -0,0 +1,164 @@
+// geofence.js
+// - Point-in-polygon test for region overlays
+// - Engine that turns a stream of location fixes into enter/exit events
+// - Pure (no Expo imports) so it can be driven by simulated coordinates
+
+import { EARTH_RADIUS_M, toRad } from "./distance";
+
+export const DEFAULT_GEOFENCE_OPTIONS = {
+  // Ignore fixes less accurate than this (meters); null disables the check
+  maxAccuracyM: 50,
+  // Must stay on the new side of the boundary this long before an event fires
+  dwellMs: 10000,
+  // Fixes closer than this to the boundary don't change state (anti-flapping)
+  hysteresisM: 10,
+};
+
+// --- GEOMETRY ---
+// Ray casting; polygon is [{ latitude, longitude }, ...] (closed implicitly)
+export function pointInPolygon(point, polygon) {
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const crosses =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+// Shortest distance (meters) from point to the polygon outline.
+// Uses a local equirectangular projection — fine at neighbourhood scale.
+export function distanceToEdgeM(point, polygon) {
+  const cosLat = Math.cos(toRad(point.latitude));
+  const project = (p) => ({
+    x: toRad(p.longitude - point.longitude) * cosLat * EARTH_RADIUS_M,
+    y: toRad(p.latitude - point.latitude) * EARTH_RADIUS_M,
+  });
+
+  let best = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = project(polygon[j]);
+    const b = project(polygon[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    // projection of the origin (our point) onto segment a-b, clamped
+    const t =
+      lenSq === 0
+        ? 0
+        : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lenSq));
+    const cx = a.x + t * dx;
+    const cy = a.y + t * dy;
+    best = Math.min(best, Math.hypot(cx, cy));
+  }
+  return best;
+}
+
+// --- ENGINE ---
+// regions: [{ id, name, coordinates }]
+// update(fix) takes { latitude, longitude, accuracy?, timestamp } and returns
+// the events it caused: [{ type: "enter" | "exit", regionId, regionName, timestamp }]
+// Fixes may stop while the user stands still, so tick(timestamp) confirms
+// pending crossings on time alone; nextDeadline() says when one is due.
+export function createGeofenceEngine(regions, options = {}) {
+  const opts = { ...DEFAULT_GEOFENCE_OPTIONS, ...options };
+
+  // per region: committed side + the side we're waiting to confirm.
+  // `inside` is null until the first accepted fix, which only sets the
+  // starting side: launching inside a region is not an "enter".
+  const state = {};
+  regions.forEach((r) => {
+    state[r.id] = { inside: null, pending: null, pendingSince: null };
+  });
+
+  function update(fix) {
+    if (
+      opts.maxAccuracyM != null &&
+      fix.accuracy != null &&
+      fix.accuracy > opts.maxAccuracyM
+    ) {
+      return [];
+    }
+
+    const events = [];
+    regions.forEach((region) => {
+      const s = state[region.id];
+      const inside = pointInPolygon(fix, region.coordinates);
+      if (s.inside === null) {
+        s.inside = inside;
+        return;
+      }
+
+      // Near the boundary: treat as "no change" until we're clearly across
+      const nearEdge =
+        inside !== s.inside &&
+        distanceToEdgeM(fix, region.coordinates) < opts.hysteresisM;
+      const observed = nearEdge ? s.inside : inside;
+
+      if (observed === s.inside) {
+        s.pending = null;
+        s.pendingSince = null;
+        return;
+      }
+
+      if (s.pending !== observed) {
+        s.pending = observed;
+        s.pendingSince = fix.timestamp;
+      }
+
+      confirmIfDwelled(region, fix.timestamp, events);
+    });
+    return events;
+  }
+
+  // Commits a pending crossing once it has lasted dwellMs
+  function confirmIfDwelled(region, timestamp, events) {
+    const s = state[region.id];
+    if (s.pending == null || timestamp - s.pendingSince < opts.dwellMs) return;
+    s.inside = s.pending;
+    s.pending = null;
+    s.pendingSince = null;
+    events.push({
+      type: s.inside ? "enter" : "exit",
+      regionId: region.id,
+      regionName: region.name,
+      timestamp,
+    });
+  }
+
+  function tick(timestamp) {
+    const events = [];
+    regions.forEach((region) => confirmIfDwelled(region, timestamp, events));
+    return events;
+  }
+
+  // Earliest time a pending crossing can be confirmed, or null
+  function nextDeadline() {
+    const deadlines = regions
+      .map((r) => state[r.id])
+      .filter((s) => s.pending != null)
+      .map((s) => s.pendingSince + opts.dwellMs);
+    return deadlines.length > 0 ? Math.min(...deadlines) : null;
+  }
+
+  function isInside(regionId) {
+    return !!state[regionId]?.inside;
+  }
+
+  return { update, tick, nextDeadline, isInside };
+}
+
+// Feeds a list of fixes through a fresh engine and returns every event.
+// Handy for exercising thresholds without a device.
+export function simulateGeofence(regions, fixes, options) {
+  const engine = createGeofenceEngine(regions, options);
+  return fixes.flatMap((fix) => engine.update(fix));
+}
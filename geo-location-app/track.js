@@ -0,0 +1,149 @@
+// track.js
+// - Recorded track points: { latitude, longitude, altitude, accuracy, speed, timestamp }
+// - Distance / duration summaries
+// - GPX 1.1 export and import (accuracy + speed go in <extensions>, in
+//   our own namespace since GPX itself has no such elements)
+
+import { haversineM } from "./distance";
+
+export function trackDistanceM(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineM(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+export function trackDurationMs(points) {
+  const times = points.map((p) => p.timestamp).filter((t) => t != null);
+  if (times.length < 2) return 0;
+  return Math.max(...times) - Math.min(...times);
+}
+
+// 3723000 -> "1:02:03", 65000 -> "1:05"
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+// --- GPX EXPORT ---
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function optionalTag(name, value) {
+  return value == null || Number.isNaN(value)
+    ? ""
+    : `<${name}>${value}</${name}>`;
+}
+
+// Namespace for the <extensions> children; only needs to be unique
+const GPX_EXTENSIONS_NS = "urn:geo-location-app:gpx-extensions:1";
+
+export function toGpx(points, name = "Recorded track") {
+  const trkpts = points
+    .map((p) => {
+      const extensions =
+        optionalTag("geo:accuracy", p.accuracy) +
+        optionalTag("geo:speed", p.speed);
+      return (
+        `      <trkpt lat="${p.latitude}" lon="${p.longitude}">` +
+        optionalTag("ele", p.altitude) +
+        (p.timestamp != null
+          ? `<time>${new Date(p.timestamp).toISOString()}</time>`
+          : "") +
+        (extensions ? `<extensions>${extensions}</extensions>` : "") +
+        "</trkpt>"
+      );
+    })
+    .join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="geo-location-app" xmlns="http://www.topografix.com/GPX/1/1" xmlns:geo="${GPX_EXTENSIONS_NS}">`,
+    "  <trk>",
+    `    <name>${escapeXml(name)}</name>`,
+    "    <trkseg>",
+    trkpts,
+    "    </trkseg>",
+    "  </trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+// --- GPX IMPORT ---
+// Small regex reader (no DOMParser in React Native). Understands <trkpt>
+// and <rtept> with optional <ele>, <time> and <accuracy>/<speed> children,
+// with any prefix: our <geo:accuracy>, other apps' extensions, or the
+// unprefixed tags older exports of this app wrote.
+function readAttr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? Number(match[1]) : NaN;
+}
+
+function readChild(body, name) {
+  const match = body.match(
+    new RegExp(`<(?:\\w+:)?${name}>\\s*([^<]*?)\\s*</(?:\\w+:)?${name}>`)
+  );
+  return match ? match[1] : null;
+}
+
+function readNumber(body, name) {
+  const raw = readChild(body, name);
+  if (raw == null || raw === "") return null;
+  const value = Number(raw);
+  return Number.isNaN(value) ? null : value;
+}
+
+export function parseGpx(xml) {
+  if (typeof xml !== "string" || !/<gpx[\s>]/.test(xml)) {
+    throw new Error("Not a GPX file (no <gpx> element found)");
+  }
+
+  const pointPattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const points = [];
+  let match;
+  let index = 0;
+
+  while ((match = pointPattern.exec(xml))) {
+    const [, , attrs, body = ""] = match;
+    const latitude = readAttr(attrs, "lat");
+    const longitude = readAttr(attrs, "lon");
+    if (
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      throw new Error(`GPX point ${index} has an invalid lat/lon`);
+    }
+
+    const time = readChild(body, "time");
+    const timestamp = time ? Date.parse(time) : NaN;
+
+    points.push({
+      latitude,
+      longitude,
+      altitude: readNumber(body, "ele"),
+      accuracy: readNumber(body, "accuracy"),
+      speed: readNumber(body, "speed"),
+      timestamp: Number.isNaN(timestamp) ? null : timestamp,
+    });
+    index++;
+  }
+
+  if (points.length === 0) {
+    throw new Error("GPX file contains no track points");
+  }
+  return points;
+}
@@ -2,7 +2,15 @@
 import "react-native-gesture-handler"; // must be first
 import "react-native-reanimated";
 
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, {
+  Profiler,
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
 import {
   ActivityIndicator,
   RefreshControl,
@@ -11,11 +19,17 @@ import {
   TouchableOpacity,
   View,
   TextInput,
-  Modal,
   ScrollView,
+  FlatList,
   Image,
+  Modal,
+  useColorScheme,
 } from "react-native";
-import { NavigationContainer } from "@react-navigation/native";
+import {
+  NavigationContainer,
+  DarkTheme,
+  DefaultTheme,
+} from "@react-navigation/native";
 import { createMaterialTopTabNavigator } from "@react-navigation/material-top-tabs";
 import { createNativeStackNavigator } from "@react-navigation/native-stack";
 import { Swipeable, GestureHandlerRootView } from "react-native-gesture-handler";
@@ -25,6 +39,152 @@ import Animated, {
   withTiming,
 } from "react-native-reanimated";
 import NetInfo from "@react-native-community/netinfo";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { StatusBar } from "expo-status-bar";
+
+/* =====================================================
+   Theme — light and dark palettes of named color tokens.
+   Follows the system setting unless the user picks one;
+   the choice is stored on the device. Components read
+   tokens through useTheme() instead of inline hex values.
+   ===================================================== */
+const THEME_KEY = "swapi-theme:v1";
+const THEME_PREFERENCES = ["system", "light", "dark"];
+
+const PALETTES = {
+  dark: {
+    background: "#0b0d10",
+    backgroundAlt: "#020617",
+    panel: "#0f172a",
+    card: "#111827",
+    inset: "#111827",
+    button: "#1f2937",
+    border: "#374151",
+    divider: "#111827",
+    backdrop: "rgba(0,0,0,0.5)",
+    text: "#F9FAFB",
+    textBody: "#E5E7EB",
+    textSecondary: "#9CA3AF",
+    textMuted: "#6B7280",
+    textFaint: "#4B5563",
+    primary: "#1d4ed8",
+    onPrimary: "#FFFFFF",
+    accent: "#38bdf8",
+    link: "#93c5fd",
+    highlight: "#facc15",
+    highlightBg: "rgba(250, 204, 21, 0.08)",
+    action: "#fb923c",
+    warning: "#fbbf24",
+    danger: "#ff6b6b",
+    dangerBg: "#7f1d1d",
+    dangerText: "#fecaca",
+    chipActive: "#1e3a8a",
+    chipActiveText: "#FFFFFF",
+  },
+  light: {
+    background: "#f3f4f6",
+    backgroundAlt: "#f8fafc",
+    panel: "#ffffff",
+    card: "#ffffff",
+    inset: "#f1f5f9",
+    button: "#e5e7eb",
+    border: "#d1d5db",
+    divider: "#e5e7eb",
+    backdrop: "rgba(15,23,42,0.35)",
+    text: "#111827",
+    textBody: "#1f2937",
+    textSecondary: "#4b5563",
+    textMuted: "#6b7280",
+    textFaint: "#9ca3af",
+    primary: "#1d4ed8",
+    onPrimary: "#FFFFFF",
+    accent: "#0284c7",
+    link: "#1d4ed8",
+    highlight: "#b45309",
+    highlightBg: "rgba(217, 119, 6, 0.1)",
+    action: "#ea580c",
+    warning: "#b45309",
+    danger: "#dc2626",
+    dangerBg: "#fee2e2",
+    dangerText: "#991b1b",
+    chipActive: "#dbeafe",
+    chipActiveText: "#1e3a8a",
+  },
+};
+
+const ThemeContext = createContext({
+  scheme: "dark",
+  colors: PALETTES.dark,
+  preference: "system",
+  setPreference: () => {},
+});
+
+function ThemeProvider({ children }) {
+  const systemScheme = useColorScheme();
+  const [preference, setPreferenceState] = useState("system");
+
+  useEffect(() => {
+    AsyncStorage.getItem(THEME_KEY)
+      .then((saved) => {
+        if (THEME_PREFERENCES.includes(saved)) setPreferenceState(saved);
+      })
+      .catch((e) => console.warn("Failed to read theme", e));
+  }, []);
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next);
+    AsyncStorage.setItem(THEME_KEY, next).catch((e) =>
+      console.warn("Failed to write theme", e)
+    );
+  }, []);
+
+  // The app was designed dark, so that's the fallback when the
+  // system doesn't report a scheme
+  const scheme =
+    preference === "system"
+      ? systemScheme === "light"
+        ? "light"
+        : "dark"
+      : preference;
+
+  const value = {
+    scheme,
+    colors: PALETTES[scheme],
+    preference,
+    setPreference,
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+}
+
+function useTheme() {
+  return useContext(ThemeContext);
+}
+
+const THEME_LABELS = { system: "◐ Auto", light: "☀ Light", dark: "☾ Dark" };
+
+/* Header button: Auto -> Light -> Dark -> Auto */
+function ThemeToggle() {
+  const { colors, preference, setPreference } = useTheme();
+  const next =
+    THEME_PREFERENCES[
+      (THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length
+    ];
+
+  return (
+    <TouchableOpacity
+      onPress={() => setPreference(next)}
+      accessibilityLabel={`Theme: ${preference}. Switch to ${next}`}
+      style={{ paddingHorizontal: 8, paddingVertical: 4 }}
+    >
+      <Text style={{ color: colors.textSecondary, fontSize: 13 }}>
+        {THEME_LABELS[preference]}
+      </Text>
+    </TouchableOpacity>
+  );
+}
 
 /* =====================================================
    Header images (themed per screen)
@@ -38,90 +198,1376 @@ const HEADER_IMAGES = {
     "https://images.pexels.com/photos/66134/pexels-photo-66134.jpeg?auto=compress&cs=tinysrgb&w=1200",
 };
 
+/* =====================================================
+   SWAPI resource registry
+   One entry per resource: endpoint, list row fields,
+   detail fields and the key used for searching.
+   Optional: detailText (long text sections),
+   detailLinks (reference lists shown first, even when empty),
+   sortFields / filterFields (list sort & filter sheet),
+   compareFields (numeric properties drawn as bars on the
+   compare screen; enables multi-select on the list) and
+   expanded (list pages carry full properties, which sorting,
+   filtering and comparing need).
+   Adding a resource only needs a new entry here.
+   ===================================================== */
+const RESOURCES = {
+  planets: {
+    title: "Planets",
+    singular: "Planet",
+    endpoint: "https://www.swapi.tech/api/planets",
+    headerImage: HEADER_IMAGES.planets,
+    searchKey: "name",
+    listFields: [{ key: "url" }],
+    detailTags: [
+      { key: "climate", label: "Climate" },
+      { key: "terrain", label: "Terrain" },
+      { key: "population", label: "Population" },
+      { key: "gravity", label: "Gravity" },
+      { key: "diameter", label: "Diameter" },
+    ],
+    detailFields: [
+      { key: "rotation_period", label: "Rotation period" },
+      { key: "orbital_period", label: "Orbital period" },
+      { key: "surface_water", label: "Surface water" },
+    ],
+    expanded: true,
+    sortFields: [
+      { key: "name", label: "Name", type: "text" },
+      { key: "population", label: "Population", type: "number" },
+      { key: "diameter", label: "Diameter", type: "number" },
+    ],
+    filterFields: [
+      { key: "climate", label: "Climate" },
+      { key: "terrain", label: "Terrain" },
+    ],
+    compareFields: [
+      { key: "diameter", label: "Diameter (km)" },
+      { key: "gravity", label: "Gravity (standard G)" },
+      { key: "population", label: "Population" },
+      { key: "orbital_period", label: "Orbital period (days)" },
+      { key: "rotation_period", label: "Rotation period (hours)" },
+      { key: "surface_water", label: "Surface water (%)" },
+    ],
+  },
+  starships: {
+    title: "Spaceships",
+    singular: "Spaceship",
+    endpoint: "https://www.swapi.tech/api/starships",
+    headerImage: HEADER_IMAGES.spaceships,
+    searchKey: "name",
+    listFields: [{ key: "url" }],
+    detailTags: [
+      { key: "model", label: "Model" },
+      { key: "starship_class", label: "Class" },
+      { key: "manufacturer", label: "Manufacturer" },
+    ],
+    detailFields: [
+      { key: "cost_in_credits", label: "Cost (credits)" },
+      { key: "crew", label: "Crew" },
+      { key: "passengers", label: "Passengers" },
+      { key: "hyperdrive_rating", label: "Hyperdrive rating" },
+      { key: "MGLT", label: "MGLT" },
+      { key: "max_atmosphering_speed", label: "Max atmosphering speed" },
+    ],
+    detailLinks: [{ key: "pilots", label: "Pilots" }],
+    expanded: true,
+    sortFields: [
+      { key: "name", label: "Name", type: "text" },
+      { key: "cost_in_credits", label: "Cost", type: "number" },
+      { key: "hyperdrive_rating", label: "Hyperdrive rating", type: "number" },
+    ],
+    filterFields: [{ key: "starship_class", label: "Class" }],
+  },
+  films: {
+    title: "Films",
+    singular: "Film",
+    endpoint: "https://www.swapi.tech/api/films",
+    headerImage: HEADER_IMAGES.films,
+    searchKey: "title",
+    listFields: [
+      { key: "release_date", label: "Release" },
+      { key: "director", label: "Director" },
+    ],
+    detailTags: [
+      { key: "episode_id", label: "Episode" },
+      { key: "release_date", label: "Released" },
+      { key: "director", label: "Director" },
+    ],
+    detailFields: [{ key: "producer", label: "Producer" }],
+    detailText: [{ key: "opening_crawl", label: "Opening crawl" }],
+    detailLinks: [
+      { key: "characters", label: "Characters" },
+      { key: "planets", label: "Planets" },
+    ],
+    sortFields: [
+      { key: "episode_id", label: "Episode", type: "number" },
+      { key: "release_date", label: "Release date", type: "date" },
+      { key: "title", label: "Title", type: "text" },
+    ],
+  },
+  people: {
+    title: "People",
+    singular: "Person",
+    endpoint: "https://www.swapi.tech/api/people",
+    headerImage: HEADER_IMAGES.films,
+    searchKey: "name",
+    listFields: [{ key: "url" }],
+    detailTags: [
+      { key: "gender", label: "Gender" },
+      { key: "birth_year", label: "Born" },
+      { key: "height", label: "Height" },
+      { key: "mass", label: "Mass" },
+    ],
+    detailFields: [
+      { key: "hair_color", label: "Hair color" },
+      { key: "skin_color", label: "Skin color" },
+      { key: "eye_color", label: "Eye color" },
+    ],
+  },
+  species: {
+    title: "Species",
+    singular: "Species",
+    endpoint: "https://www.swapi.tech/api/species",
+    headerImage: HEADER_IMAGES.planets,
+    searchKey: "name",
+    listFields: [{ key: "url" }],
+    detailTags: [
+      { key: "classification", label: "Classification" },
+      { key: "designation", label: "Designation" },
+      { key: "language", label: "Language" },
+    ],
+    detailFields: [
+      { key: "average_height", label: "Average height" },
+      { key: "average_lifespan", label: "Average lifespan" },
+      { key: "skin_colors", label: "Skin colors" },
+      { key: "eye_colors", label: "Eye colors" },
+    ],
+  },
+  vehicles: {
+    title: "Vehicles",
+    singular: "Vehicle",
+    endpoint: "https://www.swapi.tech/api/vehicles",
+    headerImage: HEADER_IMAGES.spaceships,
+    searchKey: "name",
+    listFields: [{ key: "url" }],
+    detailTags: [
+      { key: "model", label: "Model" },
+      { key: "vehicle_class", label: "Class" },
+      { key: "manufacturer", label: "Manufacturer" },
+    ],
+    detailFields: [
+      { key: "cost_in_credits", label: "Cost (credits)" },
+      { key: "crew", label: "Crew" },
+      { key: "passengers", label: "Passengers" },
+      { key: "max_atmosphering_speed", label: "Max atmosphering speed" },
+    ],
+  },
+};
+
+// Tab order
+const RESOURCE_KEYS = [
+  "planets",
+  "starships",
+  "films",
+  "people",
+  "species",
+  "vehicles",
+];
+
+/* First list page; `expanded` resources ask for full properties */
+function listUrl(resource) {
+  return resource.expanded
+    ? `${resource.endpoint}?expanded=true`
+    : resource.endpoint;
+}
+
+/* Keep later pages expanded too, whatever the API echoes back */
+function expandedNext(resource, next) {
+  if (!next || !resource.expanded || /[?&]expanded=true\b/.test(next)) {
+    return next;
+  }
+  return `${next}${next.includes("?") ? "&" : "?"}expanded=true`;
+}
+
+/* Paged endpoints return `results` (uid/name/url, plus properties
+   when expanded); films returns `result` with full properties.
+   Both become flat records. */
+function parseResourcePage(resource, json) {
+  const raw = json.results || json.result || [];
+  const records = raw.map((r) => {
+    const props = r.properties || {};
+    return {
+      ...props,
+      id: String(r.uid),
+      name: r.name ?? props[resource.searchKey] ?? "Untitled",
+      url: r.url ?? props.url ?? `${resource.endpoint}/${r.uid}`,
+    };
+  });
+  return { records, next: expandedNext(resource, json.next) || null };
+}
+
+/* =====================================================
+   Offline page cache — every fetched SWAPI page is stored
+   on the device keyed by URL (raw JSON + fetch time).
+   An index of fetch times bounds it: pages older than
+   CACHE_MAX_AGE_MS are ignored and dropped, and past
+   CACHE_MAX_ENTRIES the oldest fetched go first.
+   ===================================================== */
+const CACHE_PREFIX = "swapi-cache:v1:";
+const CACHE_INDEX_KEY = "swapi-cache-index:v1"; // { [url]: fetchedAt }
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 300;
+
+function isExpired(fetchedAt) {
+  return !(fetchedAt > Date.now() - CACHE_MAX_AGE_MS);
+}
+
+async function readCachedPage(url) {
+  try {
+    const raw = await AsyncStorage.getItem(CACHE_PREFIX + url);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    return entry && entry.json && !isExpired(entry.fetchedAt) ? entry : null;
+  } catch (e) {
+    console.warn("Failed to read SWAPI cache", e);
+    return null;
+  }
+}
+
+async function writeCachedPage(url, json, fetchedAt) {
+  try {
+    await AsyncStorage.setItem(
+      CACHE_PREFIX + url,
+      JSON.stringify({ json, fetchedAt })
+    );
+  } catch (e) {
+    console.warn("Failed to write SWAPI cache", e);
+    return;
+  }
+  await indexCachedPage(url, fetchedAt);
+}
+
+let cacheIndex = null; // promise, loaded once per launch
+let cacheIndexQueue = Promise.resolve();
+
+function loadCacheIndex() {
+  if (!cacheIndex) cacheIndex = readCacheIndex();
+  return cacheIndex;
+}
+
+async function readCacheIndex() {
+  const raw = await AsyncStorage.getItem(CACHE_INDEX_KEY);
+  if (raw) return JSON.parse(raw);
+
+  // Pages cached before the index existed: rebuild it from them once
+  const keys = (await AsyncStorage.getAllKeys()).filter((k) =>
+    k.startsWith(CACHE_PREFIX)
+  );
+  const index = {};
+  (await AsyncStorage.multiGet(keys)).forEach(([key, value]) => {
+    let fetchedAt = 0;
+    try {
+      fetchedAt = JSON.parse(value)?.fetchedAt ?? 0;
+    } catch (e) {
+      // unreadable entry: 0 makes it the first to go
+    }
+    index[key.slice(CACHE_PREFIX.length)] = fetchedAt;
+  });
+  return index;
+}
+
+/* Records a write, then evicts expired and surplus pages. Queued so
+   concurrent writes don't overwrite each other's index updates. */
+function indexCachedPage(url, fetchedAt) {
+  cacheIndexQueue = cacheIndexQueue
+    .then(async () => {
+      const index = await loadCacheIndex();
+      index[url] = fetchedAt;
+      const newestFirst = Object.keys(index).sort(
+        (a, b) => index[b] - index[a]
+      );
+      const evicted = newestFirst.filter(
+        (u, i) => i >= CACHE_MAX_ENTRIES || isExpired(index[u])
+      );
+      evicted.forEach((u) => delete index[u]);
+      if (evicted.length > 0) {
+        await AsyncStorage.multiRemove(evicted.map((u) => CACHE_PREFIX + u));
+      }
+      await AsyncStorage.setItem(CACHE_INDEX_KEY, JSON.stringify(index));
+    })
+    .catch((e) => {
+      console.warn("Failed to update SWAPI cache index", e);
+      // retry the load on the next write
+      cacheIndex = null;
+    });
+  return cacheIndexQueue;
+}
+
+async function isOnline() {
+  const netState = await NetInfo.fetch();
+  return isOnlineState(netState);
+}
+
+function isOnlineState(netState) {
+  return !!netState.isConnected && netState.isInternetReachable !== false;
+}
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
+
+/* Re-renders every `intervalMs` so relative ages stay current */
+function useNow(intervalMs) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
+
+/* =====================================================
+   SWAPI request layer — every request goes through here.
+   Timeout per attempt, retries with exponential backoff +
+   jitter, honours Retry-After on 429, and throws typed
+   SwapiErrors (network | timeout | server | parse).
+   ===================================================== */
+const REQUEST_DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  timeoutMs: 10000,
+};
+const MAX_RETRY_AFTER_MS = 60000;
+
+class SwapiError extends Error {
+  constructor(type, message, { status, retryAfterMs, offline } = {}) {
+    super(message);
+    this.name = "SwapiError";
+    this.type = type;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.offline = !!offline;
+  }
+}
+
+function offlineError() {
+  return new SwapiError("network", "No internet connection", {
+    offline: true,
+  });
+}
+
+function abortError() {
+  const e = new Error("Aborted");
+  e.name = "AbortError";
+  return e;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  const ms = Number.isNaN(seconds)
+    ? Date.parse(header) - Date.now()
+    : seconds * 1000;
+  if (Number.isNaN(ms)) return undefined;
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  // "Full jitter": random delay up to the exponential cap
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function isRetryable(e) {
+  if (!(e instanceof SwapiError) || e.offline) return false;
+  if (e.type === "network" || e.type === "timeout") return true;
+  return e.type === "server" && (e.status === 429 || e.status >= 500);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort);
+  });
+}
+
+async function requestOnce(url, signal, timeoutMs) {
+  if (signal?.aborted) throw abortError();
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  const rethrow = (e, type, message) => {
+    if (timedOut) {
+      throw new SwapiError("timeout", `Timed out after ${timeoutMs} ms`);
+    }
+    if (e.name === "AbortError") throw e;
+    throw new SwapiError(type, message || e.message);
+  };
+
+  try {
+    let res;
+    try {
+      res = await fetch(url, { signal: controller.signal });
+    } catch (e) {
+      rethrow(e, "network");
+    }
+
+    if (!res.ok) {
+      throw new SwapiError("server", `HTTP ${res.status}`, {
+        status: res.status,
+        retryAfterMs:
+          res.status === 429
+            ? parseRetryAfter(res.headers.get("Retry-After"))
+            : undefined,
+      });
+    }
+
+    try {
+      return await res.json();
+    } catch (e) {
+      rethrow(e, "parse", "Response was not valid JSON");
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/* Fetches `url` as JSON; options override REQUEST_DEFAULTS (+ signal) */
+async function swapiRequest(url, options = {}) {
+  const { signal, retries, baseDelayMs, maxDelayMs, timeoutMs } = {
+    ...REQUEST_DEFAULTS,
+    ...options,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(url, signal, timeoutMs);
+    } catch (e) {
+      if (attempt >= retries || !isRetryable(e)) throw e;
+      const delay =
+        e.retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/* User-facing text for any error thrown by the request layer */
+function describeSwapiError(e) {
+  if (!e) return null;
+  if (!(e instanceof SwapiError)) return e.message || "Something went wrong";
+
+  switch (e.type) {
+    case "network":
+      return e.offline
+        ? "No internet connection detected. Please check your network and pull to refresh once you're back online."
+        : "Couldn't reach swapi.tech. Check your connection and try again.";
+    case "timeout":
+      return "swapi.tech is taking too long to respond. Please try again in a moment.";
+    case "server":
+      if (e.status === 429) {
+        return "swapi.tech is rate limiting requests right now. Wait a little, then try again.";
+      }
+      if (e.status === 404) {
+        return "That record couldn't be found on swapi.tech.";
+      }
+      return `swapi.tech is having trouble right now (HTTP ${e.status}). Please try again later.`;
+    case "parse":
+      return "swapi.tech sent a response that couldn't be read. Please try again later.";
+    default:
+      return e.message || "Something went wrong";
+  }
+}
+
 /* =====================================================
    Reusable SWAPI list hook — handles fetch, refresh, and pagination
    + Network detection
+   + Stale-while-revalidate: cached pages show immediately on mount
+     and while offline, then get refetched once we're online again
    ===================================================== */
 function useSwapiList(initialUrl, parsePage) {
-  const [items, setItems] = useState([]);
-  const [nextUrl, setNextUrl] = useState(initialUrl);
+  // Each page: { url, records, next, fetchedAt, fromCache }
+  const [pages, setPages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
+  const [revalidating, setRevalidating] = useState(false);
+  const [offline, setOffline] = useState(false);
   const [error, setError] = useState(null);
+  // Paging and revalidation cancel only their own previous run
+  const fetchAbortRef = useRef(null);
+  const revalidateAbortRef = useRef(null);
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+
+  const toPage = useCallback(
+    (url, json, fetchedAt, fromCache) => {
+      const { records, next } = parsePage(json);
+      return { url, records, next: next || null, fetchedAt, fromCache };
+    },
+    [parsePage]
+  );
+
+  const loadPage = useCallback(
+    async (url, signal) => {
+      const json = await swapiRequest(url, { signal });
+      const fetchedAt = Date.now();
+      writeCachedPage(url, json, fetchedAt);
+      return toPage(url, json, fetchedAt, false);
+    },
+    [toPage]
+  );
+
+  const fetchPage = useCallback(
+    async (url, mode = "append") => {
+      if (!url) return;
+      setLoading(true);
+      setError(null);
+
+      if (fetchAbortRef.current) fetchAbortRef.current.abort();
+      const controller = new AbortController();
+      fetchAbortRef.current = controller;
+
+      try {
+        let page;
+        if (await isOnline()) {
+          page = await loadPage(url, controller.signal);
+          setOffline(false);
+        } else {
+          setOffline(true);
+          const cached = await readCachedPage(url);
+          if (!cached) throw offlineError();
+          page = toPage(url, cached.json, cached.fetchedAt, true);
+        }
+        if (controller.signal.aborted) return;
+
+        setPages((prev) => (mode === "replace" ? [page] : [...prev, page]));
+      } catch (e) {
+        // ListShell turns the error into a user-facing message
+        if (e.name !== "AbortError") setError(e);
+      } finally {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    },
+    [loadPage, toPage]
+  );
+
+  // Background refetch of every page currently shown; cached records
+  // stay on screen until their fresh copy arrives.
+  const revalidate = useCallback(async () => {
+    const urls = pagesRef.current.map((p) => p.url);
+    if (urls.length === 0) return;
+
+    if (revalidateAbortRef.current) revalidateAbortRef.current.abort();
+    const controller = new AbortController();
+    revalidateAbortRef.current = controller;
+
+    setRevalidating(true);
+    try {
+      if (!(await isOnline())) {
+        setOffline(true);
+        return;
+      }
+      setOffline(false);
+      for (const url of urls) {
+        const page = await loadPage(url, controller.signal);
+        if (controller.signal.aborted) return;
+        setPages((prev) => prev.map((p) => (p.url === url ? page : p)));
+      }
+    } catch (e) {
+      // Keep showing the stale copy; the cache age tells the user.
+      if (e.name !== "AbortError") {
+        console.warn("SWAPI revalidation failed", e);
+      }
+    } finally {
+      setRevalidating(false);
+    }
+  }, [loadPage]);
+
+  // Hydrate from the cache (following `next` links through cached pages),
+  // then revalidate — or fetch normally if nothing is cached yet.
+  useEffect(() => {
+    let cancelled = false;
+    setPages([]);
+
+    (async () => {
+      const cachedPages = [];
+      let url = initialUrl;
+      while (url && !cachedPages.some((p) => p.url === url)) {
+        const cached = await readCachedPage(url);
+        if (!cached) break;
+        const page = toPage(url, cached.json, cached.fetchedAt, true);
+        cachedPages.push(page);
+        url = page.next;
+      }
+      if (cancelled) return;
+
+      if (cachedPages.length > 0) {
+        pagesRef.current = cachedPages;
+        setPages(cachedPages);
+        revalidate();
+      } else {
+        fetchPage(initialUrl, "replace");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      fetchAbortRef.current?.abort();
+      revalidateAbortRef.current?.abort();
+    };
+  }, [initialUrl, fetchPage, revalidate, toPage]);
+
+  // Revalidate when connectivity comes back
+  useEffect(() => {
+    let wasOffline = false;
+    const unsubscribe = NetInfo.addEventListener((netState) => {
+      const online = isOnlineState(netState);
+      setOffline(!online);
+      if (online && wasOffline) revalidate();
+      wasOffline = !online;
+    });
+    return unsubscribe;
+  }, [revalidate]);
+
+  const refresh = useCallback(() => {
+    setRefreshing(true);
+    setPages([]);
+    fetchPage(initialUrl, "replace");
+  }, [initialUrl, fetchPage]);
+
+  const nextUrl =
+    pages.length === 0 ? initialUrl : pages[pages.length - 1].next;
+
+  const loadMore = useCallback(() => {
+    if (!loading && nextUrl) fetchPage(nextUrl, "append");
+  }, [loading, nextUrl, fetchPage]);
+
+  const items = pages.flatMap((p) => p.records);
+  const stalePages = pages.filter((p) => p.fromCache);
+  const cachedAt =
+    stalePages.length > 0
+      ? Math.min(...stalePages.map((p) => p.fetchedAt))
+      : null;
+
+  return {
+    items,
+    loading,
+    error,
+    refresh,
+    refreshing,
+    loadMore,
+    hasMore: !!nextUrl,
+    cachedAt,
+    offline,
+    revalidating,
+  };
+}
+
+/* Small status line: how old the cached data on screen is */
+function CacheStatus({ cachedAt, offline, revalidating }) {
+  const { colors } = useTheme();
+  const now = useNow(30000);
+  if (!cachedAt && !offline) return null;
+
+  let text;
+  if (!cachedAt) {
+    text = "Offline";
+  } else {
+    const age = formatAge(now - cachedAt);
+    text = offline
+      ? `Offline · showing data cached ${age}`
+      : `Cached ${age}${revalidating ? " · updating…" : ""}`;
+  }
+
+  return (
+    <View style={{ paddingHorizontal: 16, paddingBottom: 6 }}>
+      <Text
+        style={{
+          color: offline ? colors.warning : colors.textMuted,
+          fontSize: 12,
+        }}
+      >
+        {text}
+      </Text>
+    </View>
+  );
+}
+
+/* =====================================================
+   Server-side search hook — debounced `?name=` / `?title=`
+   queries against swapi.tech. Falls back to filtering the
+   already-loaded items when offline or when the query fails.
+   mode: null (no query) | "server" | "local"
+   ===================================================== */
+const SEARCH_DEBOUNCE_MS = 400;
+
+function useSwapiSearch(resource, searchText, parsePage) {
+  const [results, setResults] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [fallbackReason, setFallbackReason] = useState(null);
+  const [searching, setSearching] = useState(false);
   const abortRef = useRef(null);
 
-  const fetchPage = useCallback(
-    async (url, mode = "append") => {
-      if (!url) return;
-      setLoading(true);
-      setError(null);
+  const query = searchText.trim();
+
+  useEffect(() => {
+    if (abortRef.current) abortRef.current.abort();
+    // Stale server results are dropped, so go back to local filtering
+    // until the new query answers
+    setResults(null);
+    setMode(null);
+
+    if (!query) {
+      setSearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setSearching(true);
+
+    const fallBackToLocal = (reason) => {
+      setMode("local");
+      setFallbackReason(reason);
+    };
+
+    const timer = setTimeout(async () => {
+      try {
+        if (!(await isOnline())) {
+          fallBackToLocal("offline");
+          return;
+        }
+
+        const url = `${resource.endpoint}?${resource.searchKey}=${encodeURIComponent(query)}`;
+        // Typing is debounced already; don't hold results back on retries
+        const json = await swapiRequest(url, {
+          signal: controller.signal,
+          retries: 0,
+        });
+        if (controller.signal.aborted) return;
+
+        setResults(parsePage(json).records);
+        setMode("server");
+        setFallbackReason(null);
+      } catch (e) {
+        if (e.name === "AbortError") return;
+        fallBackToLocal("error");
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, resource, parsePage]);
+
+  return { results, mode, fallbackReason, searching };
+}
+
+/* Tells the user which search mode produced the results */
+function searchNoteFor(mode, fallbackReason) {
+  if (mode === "server") return "Results from swapi.tech search";
+  if (mode !== "local") return null;
+  return fallbackReason === "offline"
+    ? "Offline — showing matches from loaded items only"
+    : "Search unavailable — showing matches from loaded items only";
+}
+
+/* =====================================================
+   List sort & filter — driven by the registry's sortFields
+   and filterFields. SWAPI uses "unknown" / "n/a" for missing
+   values: those always sort last and only match a filter
+   when "unknown" itself is picked.
+   query: { sort: { key, direction } | null,
+            filters: { [key]: [value, ...] } }
+   ===================================================== */
+const EMPTY_LIST_QUERY = { sort: null, filters: {} };
+
+/* "1,000,000" -> 1000000; "unknown" / "n/a" / "" -> null */
+function parseSwapiNumber(value) {
+  if (value == null) return null;
+  const text = String(value).replace(/,/g, "").trim();
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function sortValue(field, value) {
+  if (field.type === "number") return parseSwapiNumber(value);
+  if (field.type === "date") {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  const text = value == null ? "" : String(value).trim().toLowerCase();
+  return text && text !== "unknown" && text !== "n/a" ? text : null;
+}
+
+/* Measurements with units: "1 standard" -> 1, "1.5 (surface),
+   1 standard" -> 1.5, "unknown" -> null */
+function parseLeadingNumber(value) {
+  const match = String(value ?? "")
+    .replace(/,/g, "")
+    .match(/^\s*(-?\d+(?:\.\d+)?)/);
+  return match ? Number(match[1]) : null;
+}
+
+/* "arid, temperate" -> ["arid", "temperate"] */
+function facetValues(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/* Every value seen for a filter field; "unknown" goes last */
+function facetOptions(items, key) {
+  const values = new Set(items.flatMap((item) => facetValues(item[key])));
+  return [...values].sort((a, b) =>
+    a === "unknown" ? 1 : b === "unknown" ? -1 : a.localeCompare(b)
+  );
+}
+
+function applyListQuery(resource, items, query) {
+  const activeFilters = Object.entries(query.filters).filter(
+    ([, values]) => values.length > 0
+  );
+  let result = items.filter((item) =>
+    activeFilters.every(([key, values]) =>
+      facetValues(item[key]).some((v) => values.includes(v))
+    )
+  );
+
+  const field =
+    query.sort &&
+    (resource.sortFields || []).find((f) => f.key === query.sort.key);
+  if (field) {
+    const factor = query.sort.direction === "desc" ? -1 : 1;
+    result = result
+      .map((item) => ({ item, value: sortValue(field, item[field.key]) }))
+      .sort((a, b) => {
+        // unknowns last in either direction
+        if (a.value == null || b.value == null) {
+          return (a.value == null) - (b.value == null);
+        }
+        const diff =
+          typeof a.value === "string"
+            ? a.value.localeCompare(b.value)
+            : a.value - b.value;
+        return diff * factor;
+      })
+      .map((entry) => entry.item);
+  }
+  return result;
+}
+
+/* Removable chips for the active sort and filters */
+function listQueryChips(resource, query, onChange) {
+  const chips = [];
+  if (query.sort) {
+    const field = resource.sortFields.find((f) => f.key === query.sort.key);
+    chips.push({
+      key: "sort",
+      label: `Sort: ${field.label} ${query.sort.direction === "desc" ? "↓" : "↑"}`,
+      onRemove: () => onChange({ ...query, sort: null }),
+    });
+  }
+  (resource.filterFields || []).forEach((field) => {
+    (query.filters[field.key] || []).forEach((value) => {
+      chips.push({
+        key: `${field.key}:${value}`,
+        label: `${field.label}: ${value}`,
+        onRemove: () =>
+          onChange({
+            ...query,
+            filters: {
+              ...query.filters,
+              [field.key]: query.filters[field.key].filter((v) => v !== value),
+            },
+          }),
+      });
+    });
+  });
+  return chips;
+}
+
+/* Bottom sheet with the resource's sort options and filter values
+   (taken from the records loaded so far) */
+function ListQuerySheet({
+  visible,
+  resource,
+  items,
+  query,
+  onChange,
+  onClose,
+}) {
+  const { colors } = useTheme();
+  const sortFields = resource.sortFields || [];
+  const filterFields = resource.filterFields || [];
+
+  const pickSort = (key) => {
+    const current = query.sort;
+    // tap once for ascending, again for descending, a third time to clear
+    const sort =
+      !current || current.key !== key
+        ? { key, direction: "asc" }
+        : current.direction === "asc"
+        ? { key, direction: "desc" }
+        : null;
+    onChange({ ...query, sort });
+  };
+
+  const toggleFilter = (key, value) => {
+    const selected = query.filters[key] || [];
+    onChange({
+      ...query,
+      filters: {
+        ...query.filters,
+        [key]: selected.includes(value)
+          ? selected.filter((v) => v !== value)
+          : [...selected, value],
+      },
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity
+        style={{ flex: 1, backgroundColor: colors.backdrop }}
+        activeOpacity={1}
+        onPress={onClose}
+      />
+      <View
+        style={{
+          maxHeight: "70%",
+          backgroundColor: colors.panel,
+          borderTopLeftRadius: 16,
+          borderTopRightRadius: 16,
+          padding: 16,
+        }}
+      >
+        <ScrollView>
+          {sortFields.length > 0 && <SectionHeader title="Sort by" />}
+          <View style={{ flexDirection: "row", flexWrap: "wrap", gap: 8 }}>
+            {sortFields.map((field) => {
+              const active = query.sort?.key === field.key;
+              return (
+                <SheetOption
+                  key={field.key}
+                  active={active}
+                  label={`${field.label}${
+                    active
+                      ? query.sort.direction === "desc"
+                        ? " ↓"
+                        : " ↑"
+                      : ""
+                  }`}
+                  onPress={() => pickSort(field.key)}
+                />
+              );
+            })}
+          </View>
+
+          {filterFields.map((field) => {
+            const options = facetOptions(items, field.key);
+            const selected = query.filters[field.key] || [];
+            return (
+              <View key={field.key} style={{ marginTop: 16 }}>
+                <SectionHeader title={field.label} />
+                {options.length === 0 && (
+                  <Text style={{ color: colors.textMuted, fontSize: 12 }}>
+                    Load some {resource.title.toLowerCase()} first.
+                  </Text>
+                )}
+                <View
+                  style={{ flexDirection: "row", flexWrap: "wrap", gap: 8 }}
+                >
+                  {options.map((value) => (
+                    <SheetOption
+                      key={value}
+                      label={value}
+                      active={selected.includes(value)}
+                      onPress={() => toggleFilter(field.key, value)}
+                    />
+                  ))}
+                </View>
+              </View>
+            );
+          })}
+        </ScrollView>
+
+        <View style={{ flexDirection: "row", gap: 8, marginTop: 16 }}>
+          <TouchableOpacity
+            onPress={() => onChange(EMPTY_LIST_QUERY)}
+            style={{
+              flex: 1,
+              backgroundColor: colors.button,
+              paddingVertical: 10,
+              borderRadius: 8,
+            }}
+          >
+            <Text style={{ color: colors.text, textAlign: "center" }}>
+              Reset
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={onClose}
+            style={{
+              flex: 1,
+              backgroundColor: colors.primary,
+              paddingVertical: 10,
+              borderRadius: 8,
+            }}
+          >
+            <Text
+              style={{
+                color: colors.onPrimary,
+                textAlign: "center",
+                fontWeight: "600",
+              }}
+            >
+              Done
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+function SheetOption({ label, active, onPress }) {
+  const { colors } = useTheme();
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      style={{
+        borderRadius: 999,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        backgroundColor: active ? colors.primary : colors.inset,
+        borderWidth: 1,
+        borderColor: active ? colors.primary : colors.border,
+      }}
+    >
+      <Text
+        style={{
+          color: active ? colors.onPrimary : colors.textBody,
+          fontSize: 13,
+        }}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+/* =====================================================
+   Reference resolution — turns SWAPI reference URLs
+   (residents, films, homeworld, ...) into names.
+   Requests made in the same tick are queued into one batch,
+   deduplicated by URL and drained by a few parallel workers;
+   resolved names are memoised for the whole session.
+   ===================================================== */
+const SWAPI_URL_PATTERN = /^https:\/\/www\.swapi\.tech\/api\/(\w+)\/(\d+)\/?$/;
+const REFERENCE_CONCURRENCY = 4;
+
+const referenceNames = new Map(); // url -> name
+const pendingReferences = new Map(); // url -> Promise<name>
+let referenceQueue = [];
+let referenceFlushTimer = null;
+
+function resourceKeyForUrl(url) {
+  const match = typeof url === "string" && url.match(SWAPI_URL_PATTERN);
+  return match && RESOURCES[match[1]] ? match[1] : null;
+}
+
+function isReferenceValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every((v) => resourceKeyForUrl(v));
+  }
+  return !!resourceKeyForUrl(value);
+}
+
+/* Full `properties` of one record, from the page cache when possible */
+async function fetchRecordProperties(url) {
+  const cached = await readCachedPage(url);
+  let json = cached?.json;
+  if (!json) {
+    if (!(await isOnline())) throw offlineError();
+    json = await swapiRequest(url, { retries: 2 });
+    writeCachedPage(url, json, Date.now());
+  }
+  return json?.result?.properties || {};
+}
+
+async function fetchReferenceName(url) {
+  const props = await fetchRecordProperties(url);
+  return props.name || props.title || url;
+}
+
+async function flushReferenceQueue() {
+  referenceFlushTimer = null;
+  const batch = referenceQueue;
+  referenceQueue = [];
+
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < batch.length) {
+      const job = batch[cursor++];
+      try {
+        const name = await fetchReferenceName(job.url);
+        referenceNames.set(job.url, name);
+        job.resolve(name);
+      } catch (e) {
+        job.reject(e);
+      } finally {
+        pendingReferences.delete(job.url);
+      }
+    }
+  };
+
+  const workers = Math.min(REFERENCE_CONCURRENCY, batch.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+}
+
+function resolveReference(url) {
+  if (referenceNames.has(url)) return Promise.resolve(referenceNames.get(url));
+  if (pendingReferences.has(url)) return pendingReferences.get(url);
+
+  const promise = new Promise((resolve, reject) => {
+    referenceQueue.push({ url, resolve, reject });
+  });
+  pendingReferences.set(url, promise);
+  if (!referenceFlushTimer) {
+    referenceFlushTimer = setTimeout(flushReferenceQueue, 0);
+  }
+  return promise;
+}
+
+/* url -> { name } once resolved, { error: true } on failure;
+   missing keys are still loading */
+function useReferenceNames(urls) {
+  const key = Array.from(new Set(urls)).join("|");
+  const [names, setNames] = useState(() => {
+    const known = {};
+    urls.forEach((url) => {
+      if (referenceNames.has(url)) {
+        known[url] = { name: referenceNames.get(url) };
+      }
+    });
+    return known;
+  });
+
+  useEffect(() => {
+    let mounted = true;
+    const unique = key ? key.split("|") : [];
+
+    unique.forEach((url) => {
+      resolveReference(url)
+        .then((name) => {
+          if (mounted) setNames((prev) => ({ ...prev, [url]: { name } }));
+        })
+        .catch(() => {
+          if (mounted) {
+            setNames((prev) => ({ ...prev, [url]: { error: true } }));
+          }
+        });
+    });
+
+    return () => {
+      mounted = false;
+    };
+  }, [key]);
+
+  return names;
+}
+
+/* =====================================================
+   Favorites — starred records from any resource, stored on
+   the device with a snapshot of each record so the
+   Favorites tab (and their detail screens) work offline
+   ===================================================== */
+const FAVORITES_KEY = "swapi-favorites:v1";
 
-      if (abortRef.current) abortRef.current.abort();
-      const controller = new AbortController();
-      abortRef.current = controller;
+const FavoritesContext = createContext(null);
 
-      try {
-        const netState = await NetInfo.fetch();
-        const online =
-          netState.isConnected && netState.isInternetReachable !== false;
+/* List rows carry an `id` we add ourselves; detail records don't.
+   Entries start from the list record, which for unexpanded resources is
+   only { name, url }; `complete` marks snapshots filled from the full
+   record, so the rest are fetched in the background. */
+function favoriteSnapshot(item) {
+  const { id, ...record } = item;
+  return record;
+}
 
-        if (!online) {
-          throw new Error("NO_NETWORK");
-        }
+/* A fetched record only counts as the full record when it has the
+   fields every record of its resource has; `{}` or an error payload
+   would otherwise mark a thin snapshot complete. */
+function isFullRecord(resourceKey, record) {
+  const resource = RESOURCES[resourceKey];
+  return (
+    !!record &&
+    typeof record.url === "string" &&
+    !!resource &&
+    record[resource.searchKey] != null &&
+    record[resource.searchKey] !== ""
+  );
+}
 
-        const res = await fetch(url, { signal: controller.signal });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
-        const { records, next } = parsePage(json);
+function FavoritesProvider({ children }) {
+  const [favorites, setFavorites] = useState([]);
+  const [loaded, setLoaded] = useState(false);
 
-        setItems((prev) =>
-          mode === "replace" ? records : [...prev, ...records]
-        );
-        setNextUrl(next || null);
-      } catch (e) {
-        if (e.name === "AbortError") {
-          // ignore
-        } else if (e.message === "NO_NETWORK") {
-          setError(
-            "No internet connection detected. Please check your network and pull to refresh once you're back online."
-          );
-        } else {
-          setError(e.message || "Something went wrong");
+  useEffect(() => {
+    AsyncStorage.getItem(FAVORITES_KEY)
+      .then((raw) => {
+        const saved = raw ? JSON.parse(raw) : [];
+        if (Array.isArray(saved)) {
+          setFavorites((prev) => [
+            ...prev,
+            ...saved.filter((f) => !prev.some((p) => p.url === f.url)),
+          ]);
         }
-      } finally {
-        setLoading(false);
-        setRefreshing(false);
-      }
-    },
-    [parsePage]
-  );
+      })
+      .catch((e) => console.warn("Failed to read favorites", e))
+      .finally(() => setLoaded(true));
+  }, []);
 
+  // Don't overwrite stored favorites before they've been read
   useEffect(() => {
-    setItems([]);
-    setNextUrl(initialUrl);
-    fetchPage(initialUrl, "replace");
-    return () => abortRef.current?.abort();
-  }, [initialUrl, fetchPage]);
+    if (!loaded) return;
+    AsyncStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites)).catch((e) =>
+      console.warn("Failed to write favorites", e)
+    );
+  }, [favorites, loaded]);
+
+  const toggleFavorite = useCallback((resourceKey, item) => {
+    setFavorites((prev) =>
+      prev.some((f) => f.url === item.url)
+        ? prev.filter((f) => f.url !== item.url)
+        : [
+            {
+              resourceKey,
+              url: item.url,
+              name:
+                item.name ??
+                item[RESOURCES[resourceKey].searchKey] ??
+                "Untitled",
+              record: favoriteSnapshot(item),
+              savedAt: Date.now(),
+            },
+            ...prev,
+          ]
+    );
+  }, []);
 
-  const refresh = useCallback(() => {
-    setRefreshing(true);
-    setItems([]);
-    fetchPage(initialUrl, "replace");
-  }, [initialUrl, fetchPage]);
+  const removeFavorite = useCallback((url) => {
+    setFavorites((prev) => prev.filter((f) => f.url !== url));
+  }, []);
 
-  const loadMore = useCallback(() => {
-    if (!loading && nextUrl) fetchPage(nextUrl, "append");
-  }, [loading, nextUrl, fetchPage]);
+  // Undo puts the entry back where it was
+  const restoreFavorite = useCallback((entry, index) => {
+    setFavorites((prev) => {
+      if (prev.some((f) => f.url === entry.url)) return prev;
+      const next = [...prev];
+      next.splice(Math.min(index, next.length), 0, entry);
+      return next;
+    });
+  }, []);
 
-  return {
-    items,
-    loading,
-    error,
-    refresh,
-    refreshing,
-    loadMore,
-    hasMore: !!nextUrl,
+  // Keeps the offline snapshot as complete as the last detail fetch
+  const refreshSnapshot = useCallback((url, record) => {
+    setFavorites((prev) =>
+      prev.some((f) => f.url === url && isFullRecord(f.resourceKey, record))
+        ? prev.map((f) =>
+            f.url === url
+              ? {
+                  ...f,
+                  record: { ...f.record, ...favoriteSnapshot(record) },
+                  complete: true,
+                }
+              : f
+          )
+        : prev
+    );
+  }, []);
+
+  // Retry filling snapshots when connectivity comes back
+  const [reconnects, setReconnects] = useState(0);
+  useEffect(() => {
+    let wasOffline = false;
+    const unsubscribe = NetInfo.addEventListener((netState) => {
+      const online = isOnlineState(netState);
+      if (online && wasOffline) setReconnects((n) => n + 1);
+      wasOffline = !online;
+    });
+    return unsubscribe;
+  }, []);
+
+  // Fill thin snapshots as soon as the full record can be had (cached
+  // or online); failed ones wait for the next change or reconnect
+  const filling = useRef(new Set());
+  useEffect(() => {
+    if (!loaded) return;
+    favorites
+      .filter((f) => !f.complete && !filling.current.has(f.url))
+      .forEach((f) => {
+        filling.current.add(f.url);
+        fetchRecordProperties(f.url)
+          .then((record) => refreshSnapshot(f.url, record))
+          .catch(() => {})
+          .finally(() => filling.current.delete(f.url));
+      });
+  }, [favorites, loaded, reconnects, refreshSnapshot]);
+
+  const value = {
+    favorites,
+    isFavorite: (url) => favorites.some((f) => f.url === url),
+    favoriteFor: (url) => favorites.find((f) => f.url === url) || null,
+    toggleFavorite,
+    removeFavorite,
+    restoreFavorite,
+    refreshSnapshot,
   };
+
+  return (
+    <FavoritesContext.Provider value={value}>
+      {children}
+    </FavoritesContext.Provider>
+  );
+}
+
+function useFavorites() {
+  return useContext(FavoritesContext);
 }
 
 /* =====================================================
@@ -138,7 +1584,15 @@ function ListShell({
   imageUrl,
   searchText,
   onSearchTextChange,
+  searchNote,
+  searching,
+  cachedAt,
+  offline,
+  revalidating,
+  onFilterPress,
+  filterChips = [],
 }) {
+  const { colors } = useTheme();
   const [imageLoaded, setImageLoaded] = useState(false);
 
   const titleOpacity = useSharedValue(0);
@@ -157,7 +1611,7 @@ function ListShell({
   });
 
   return (
-    <View style={{ flex: 1, backgroundColor: "#0b0d10" }}>
+    <View style={{ flex: 1, backgroundColor: colors.background }}>
       {/* Header image */}
       <View
         style={{
@@ -167,7 +1621,7 @@ function ListShell({
           marginBottom: 8,
           borderRadius: 12,
           overflow: "hidden",
-          backgroundColor: "#020617",
+          backgroundColor: colors.backgroundAlt,
           justifyContent: "center",
           alignItems: "center",
         }}
@@ -187,21 +1641,83 @@ function ListShell({
       <View style={{ paddingHorizontal: 16, paddingTop: 4 }}>
         <TextInput
           placeholder="Type a search term..."
-          placeholderTextColor="#6B7280"
+          placeholderTextColor={colors.textMuted}
           value={searchText}
           onChangeText={onSearchTextChange}
           returnKeyType="search"
           style={{
-            backgroundColor: "#111827",
+            backgroundColor: colors.card,
             borderRadius: 8,
             paddingHorizontal: 12,
             paddingVertical: 8,
-            color: "white",
+            color: colors.text,
             borderWidth: 1,
-            borderColor: "#374151",
+            borderColor: colors.border,
             marginBottom: 8,
           }}
         />
+        {searching || searchNote ? (
+          <View
+            style={{
+              flexDirection: "row",
+              alignItems: "center",
+              marginBottom: 6,
+            }}
+          >
+            {searching && (
+              <ActivityIndicator size="small" style={{ marginRight: 6 }} />
+            )}
+            <Text style={{ color: colors.textMuted, fontSize: 12 }}>
+              {searching ? "Searching…" : searchNote}
+            </Text>
+          </View>
+        ) : null}
+
+        {/* Sort & filter button + active chips */}
+        {onFilterPress && (
+          <View
+            style={{
+              flexDirection: "row",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: 6,
+              marginBottom: 8,
+            }}
+          >
+            <TouchableOpacity
+              onPress={onFilterPress}
+              style={{
+                borderRadius: 999,
+                paddingHorizontal: 10,
+                paddingVertical: 4,
+                borderWidth: 1,
+                borderColor: colors.border,
+              }}
+            >
+              <Text style={{ color: colors.textBody, fontSize: 12 }}>
+                ⇅ Sort & filter
+              </Text>
+            </TouchableOpacity>
+            {filterChips.map((chip) => (
+              <TouchableOpacity
+                key={chip.key}
+                onPress={chip.onRemove}
+                accessibilityLabel={`Remove ${chip.label}`}
+                style={{
+                  flexDirection: "row",
+                  borderRadius: 999,
+                  paddingHorizontal: 10,
+                  paddingVertical: 4,
+                  backgroundColor: colors.chipActive,
+                }}
+              >
+                <Text style={{ color: colors.chipActiveText, fontSize: 12 }}>
+                  {chip.label} ✕
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
       </View>
 
       {/* Animated title */}
@@ -214,25 +1730,34 @@ function ListShell({
           animatedTitleStyle,
         ]}
       >
-        <Text style={{ color: "white", fontSize: 22, fontWeight: "700" }}>
+        <Text style={{ color: colors.text, fontSize: 22, fontWeight: "700" }}>
           {title}
         </Text>
       </Animated.View>
 
+      {/* Cache age / offline indicator */}
+      <CacheStatus
+        cachedAt={cachedAt}
+        offline={offline}
+        revalidating={revalidating}
+      />
+
       {/* Error area */}
       {error ? (
         <View style={{ paddingHorizontal: 16, paddingBottom: 8 }}>
-          <Text style={{ color: "#ff6b6b" }}>Error: {error}</Text>
+          <Text style={{ color: colors.danger }}>
+            {describeSwapiError(error)}
+          </Text>
           <TouchableOpacity
             onPress={onRefresh}
             style={{
               marginTop: 10,
-              backgroundColor: "#1f2937",
+              backgroundColor: colors.button,
               padding: 10,
               borderRadius: 8,
             }}
           >
-            <Text style={{ color: "white", textAlign: "center" }}>
+            <Text style={{ color: colors.text, textAlign: "center" }}>
               Try Again
             </Text>
           </TouchableOpacity>
@@ -244,15 +1769,32 @@ function ListShell({
   );
 }
 
-/* Helper for swipe text */
-function swipeTextForItem(item) {
-  if (typeof item === "string") return item;
-  if (item.name) return item.name;
-  if (item.title) return item.title;
-  return JSON.stringify(item);
+function renderFavoriteAction(favorited, colors) {
+  return (
+    <View
+      style={{
+        justifyContent: "center",
+        alignItems: "flex-start",
+        marginVertical: 6,
+      }}
+    >
+      <View
+        style={{
+          backgroundColor: colors.button,
+          paddingHorizontal: 16,
+          paddingVertical: 12,
+          borderRadius: 12,
+        }}
+      >
+        <Text style={{ color: colors.highlight, fontWeight: "600" }}>
+          {favorited ? "★ Unfavorite" : "☆ Favorite"}
+        </Text>
+      </View>
+    </View>
+  );
 }
 
-function renderSwipeActions() {
+function renderSwipeActions(colors) {
   return (
     <View
       style={{
@@ -263,171 +1805,514 @@ function renderSwipeActions() {
     >
       <View
         style={{
-          backgroundColor: "#1f2937",
+          backgroundColor: colors.button,
           paddingHorizontal: 16,
           paddingVertical: 12,
           borderRadius: 12,
         }}
       >
-        <Text style={{ color: "#fb923c", fontWeight: "600" }}>Details</Text>
+        <Text style={{ color: colors.action, fontWeight: "600" }}>Details</Text>
+      </View>
+    </View>
+  );
+}
+
+/* Subtitle for a list row from the resource's listFields */
+function listSubtitle(resource, item) {
+  return resource.listFields
+    .filter((f) => item[f.key])
+    .map((f) => (f.label ? `${f.label}: ${item[f.key]}` : item[f.key]))
+    .join(" • ");
+}
+
+const keyExtractor = (item) => item.id;
+
+/* One list row. Swipe LEFT opens the detail, swipe RIGHT or the
+   star toggles the favorite; in compare mode a tap selects it.
+   Memoised: rows only re-render when their own record, favorite
+   or selection state changes. */
+const ResourceRow = React.memo(function ResourceRow({
+  item,
+  resource,
+  favorited,
+  onToggleFavorite,
+  onOpenDetail,
+  selecting,
+  selected,
+  onToggleSelect,
+}) {
+  const { colors } = useTheme();
+  const swipeableRef = useRef(null);
+
+  return (
+    <Swipeable
+      ref={swipeableRef}
+      enabled={!selecting}
+      renderLeftActions={() => renderFavoriteAction(favorited, colors)}
+      // Swipe RIGHT (opening left actions) -> toggle favorite
+      onSwipeableLeftOpen={() => {
+        onToggleFavorite(item);
+        swipeableRef.current?.close();
+      }}
+      renderRightActions={() => renderSwipeActions(colors)}
+      // Swipe LEFT (opening right actions) -> navigate to detail
+      onSwipeableRightOpen={() => onOpenDetail(item)}
+    >
+      <TouchableOpacity
+        disabled={!selecting}
+        activeOpacity={0.7}
+        onPress={() => onToggleSelect(item)}
+        style={{
+          backgroundColor: colors.card,
+          padding: 14,
+          borderRadius: 12,
+          marginVertical: 6,
+          flexDirection: "row",
+          alignItems: "center",
+          borderWidth: 1,
+          borderColor: selected ? colors.accent : colors.card,
+        }}
+      >
+        {selecting && (
+          <Text
+            style={{
+              color: selected ? colors.accent : colors.textFaint,
+              fontSize: 18,
+              marginRight: 12,
+            }}
+          >
+            {selected ? "☑" : "☐"}
+          </Text>
+        )}
+        <View style={{ flex: 1 }}>
+          <Text style={{ color: colors.text, fontSize: 16, fontWeight: "600" }}>
+            {item.name}
+          </Text>
+          <Text style={{ color: colors.textSecondary, fontSize: 12 }}>
+            {listSubtitle(resource, item)}
+          </Text>
+        </View>
+        {!selecting && (
+          <FavoriteStar
+            active={favorited}
+            onPress={() => onToggleFavorite(item)}
+          />
+        )}
+      </TouchableOpacity>
+    </Swipeable>
+  );
+});
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+/* Enters compare mode, then shows the selection count */
+function CompareBar({ noun, selecting, count, onStart, onCancel, onCompare }) {
+  const { colors } = useTheme();
+  if (!selecting) {
+    return (
+      <View style={{ paddingHorizontal: 16, paddingBottom: 4 }}>
+        <TouchableOpacity onPress={onStart} style={{ alignSelf: "flex-start" }}>
+          <Text style={{ color: colors.accent, fontSize: 13 }}>
+            ⇆ Compare {noun}
+          </Text>
+        </TouchableOpacity>
       </View>
+    );
+  }
+
+  const ready = count >= MIN_COMPARE;
+  return (
+    <View
+      style={{
+        flexDirection: "row",
+        alignItems: "center",
+        marginHorizontal: 16,
+        marginBottom: 4,
+        padding: 10,
+        borderRadius: 10,
+        backgroundColor: colors.panel,
+      }}
+    >
+      <Text style={{ color: colors.textBody, fontSize: 13, flex: 1 }}>
+        {count === 0
+          ? `Select ${MIN_COMPARE}–${MAX_COMPARE} ${noun}`
+          : `${count} of ${MAX_COMPARE} selected`}
+      </Text>
+      <TouchableOpacity onPress={onCancel} style={{ paddingHorizontal: 10 }}>
+        <Text style={{ color: colors.textSecondary }}>Cancel</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        disabled={!ready}
+        onPress={onCompare}
+        style={{
+          paddingHorizontal: 12,
+          paddingVertical: 6,
+          borderRadius: 999,
+          backgroundColor: ready ? colors.primary : colors.button,
+        }}
+      >
+        <Text
+          style={{
+            color: ready ? colors.onPrimary : colors.textMuted,
+            fontWeight: "600",
+          }}
+        >
+          Compare
+        </Text>
+      </TouchableOpacity>
     </View>
   );
 }
 
+/* Loading / paging error with retry / end of list */
+function ListFooter({ loading, error, onRetry, endReached, count, noun }) {
+  const { colors } = useTheme();
+  if (loading) {
+    return (
+      <View style={{ paddingVertical: 16 }}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={{ paddingVertical: 12 }}>
+        <Text style={{ color: colors.danger, textAlign: "center" }}>
+          {describeSwapiError(error)}
+        </Text>
+        <TouchableOpacity
+          onPress={onRetry}
+          style={{
+            marginTop: 8,
+            backgroundColor: colors.button,
+            paddingVertical: 10,
+            borderRadius: 8,
+          }}
+        >
+          <Text style={{ color: colors.text, textAlign: "center" }}>Retry</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (endReached && count > 0) {
+    return (
+      <Text
+        style={{
+          color: colors.textMuted,
+          fontSize: 12,
+          textAlign: "center",
+          paddingVertical: 16,
+        }}
+      >
+        End of list · {count} {noun}
+      </Text>
+    );
+  }
+
+  return null;
+}
+
+/* Dev builds keep the last LIST_RENDER_SAMPLES commit timings of
+   each list, so scrolling a few hundred rows can be measured without
+   console noise. From the debugger: globalThis.listRenderStats() */
+const MEASURE_LIST_RENDERS = __DEV__;
+const LIST_RENDER_SAMPLES = 300;
+const listRenderTimings = {};
+
+function recordListRender(id, phase, actualDuration) {
+  if (!listRenderTimings[id]) listRenderTimings[id] = [];
+  const samples = listRenderTimings[id];
+  samples.push({ phase, ms: actualDuration });
+  if (samples.length > LIST_RENDER_SAMPLES) samples.shift();
+}
+
+// { [list]: { mounts, updates, avgMs, maxMs } } over the stored samples
+function listRenderStats() {
+  const stats = {};
+  Object.entries(listRenderTimings).forEach(([id, samples]) => {
+    const total = samples.reduce((sum, s) => sum + s.ms, 0);
+    stats[id] = {
+      mounts: samples.filter((s) => s.phase === "mount").length,
+      updates: samples.filter((s) => s.phase !== "mount").length,
+      avgMs: samples.length > 0 ? total / samples.length : 0,
+      maxMs: Math.max(0, ...samples.map((s) => s.ms)),
+    };
+  });
+  return stats;
+}
+
+if (MEASURE_LIST_RENDERS) globalThis.listRenderStats = listRenderStats;
+
+function ListProfiler({ id, children }) {
+  if (!MEASURE_LIST_RENDERS) return children;
+  return (
+    <Profiler id={id} onRender={recordListRender}>
+      {children}
+    </Profiler>
+  );
+}
+
 /* =====================================================
-   PLANETS LIST SCREEN (inside a Stack)
-   Swipe LEFT -> navigate to PlanetDetail
-   Search filters shown planets
+   RESOURCE LIST SCREEN (inside each tab's Stack)
+   Renders any registry resource.
+   Virtualized; the next page loads as the end comes near
+   Swipe LEFT -> navigate to ResourceDetail
+   Swipe RIGHT or tap the star -> toggle favorite
+   Search, then the sort & filter sheet, narrow shown items
    ===================================================== */
-function PlanetsScreen({ navigation }) {
-  const initialUrl = "https://www.swapi.tech/api/planets";
-  const parsePage = useCallback((json) => {
-    const records = (json.results || []).map((p) => ({
-      id: String(p.uid),
-      name: p.name,
-      url: p.url, // detail endpoint
-    }));
-    return { records, next: json.next || null };
-  }, []);
+function ResourceListScreen({ route, navigation }) {
+  const { colors } = useTheme();
+  const { resourceKey } = route.params;
+  const resource = RESOURCES[resourceKey];
+
+  const parsePage = useCallback(
+    (json) => parseResourcePage(resource, json),
+    [resource]
+  );
 
-  const { items, loading, error, refresh, refreshing, loadMore, hasMore } =
-    useSwapiList(initialUrl, parsePage);
+  const {
+    items,
+    loading,
+    error,
+    refresh,
+    refreshing,
+    loadMore,
+    hasMore,
+    cachedAt,
+    offline,
+    revalidating,
+  } = useSwapiList(listUrl(resource), parsePage);
+
+  const { favorites, isFavorite, toggleFavorite } = useFavorites();
+  const [listQuery, setListQuery] = useState(EMPTY_LIST_QUERY);
+  const [sheetVisible, setSheetVisible] = useState(false);
+  const canSortOrFilter =
+    !!resource.sortFields?.length || !!resource.filterFields?.length;
+
+  // Compare mode: pick 2–4 records, then open them side by side
+  const canCompare = !!resource.compareFields?.length;
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState([]);
 
   const [searchText, setSearchText] = useState("");
-
+  const {
+    results: searchResults,
+    mode: searchMode,
+    fallbackReason,
+    searching,
+  } = useSwapiSearch(resource, searchText, parsePage);
+
+  // Local filter: instant feedback while typing, and the offline fallback
   const normalizedSearch = searchText.trim().toLowerCase();
-  const filteredItems =
-    normalizedSearch.length === 0
+  const searchedItems =
+    searchMode === "server"
+      ? searchResults
+      : normalizedSearch.length === 0
       ? items
       : items.filter((item) =>
-          item.name.toLowerCase().includes(normalizedSearch)
+          String(item[resource.searchKey] ?? item.name)
+            .toLowerCase()
+            .includes(normalizedSearch)
         );
+  const filteredItems = applyListQuery(resource, searchedItems, listQuery);
+  const filterChips = canSortOrFilter
+    ? listQueryChips(resource, listQuery, setListQuery)
+    : [];
+
+  // Stable row callbacks keep memoised rows from re-rendering
+  const favoriteUrls = favorites.map((f) => f.url).join("|");
+  const onToggleFavorite = useCallback(
+    (item) => toggleFavorite(resourceKey, item),
+    [toggleFavorite, resourceKey]
+  );
+  const onOpenDetail = useCallback(
+    (item) =>
+      navigation.navigate("ResourceDetail", {
+        resourceKey,
+        url: item.url,
+        name: item.name,
+      }),
+    [navigation, resourceKey]
+  );
+  const onToggleSelect = useCallback((item) => {
+    setSelected((prev) =>
+      prev.some((p) => p.url === item.url)
+        ? prev.filter((p) => p.url !== item.url)
+        : prev.length < MAX_COMPARE
+        ? [...prev, item]
+        : prev
+    );
+  }, []);
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected([]);
+  };
+  const renderItem = ({ item }) => (
+    <ResourceRow
+      item={item}
+      resource={resource}
+      favorited={isFavorite(item.url)}
+      onToggleFavorite={onToggleFavorite}
+      onOpenDetail={onOpenDetail}
+      selecting={selecting}
+      selected={selected.some((p) => p.url === item.url)}
+      onToggleSelect={onToggleSelect}
+    />
+  );
 
   const showNoMatches =
-    !loading && !error && items.length > 0 && filteredItems.length === 0;
+    (normalizedSearch.length > 0 || filterChips.length > 0) &&
+    !loading &&
+    !searching &&
+    !error &&
+    filteredItems.length === 0;
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0d10" }}>
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
       <ListShell
-        title={`Planets ${hasMore ? "" : "(all loaded)"}`}
-        error={error}
+        title={`${resource.title} ${hasMore ? "" : "(all loaded)"}`}
+        // once rows are showing, paging errors go in the list footer
+        error={items.length === 0 ? error : null}
         onRefresh={refresh}
         refreshing={refreshing}
         loading={loading}
-        imageUrl={HEADER_IMAGES.planets}
+        cachedAt={cachedAt}
+        offline={offline}
+        revalidating={revalidating}
+        imageUrl={resource.headerImage}
         searchText={searchText}
         onSearchTextChange={setSearchText}
+        searchNote={searchNoteFor(searchMode, fallbackReason)}
+        searching={searching}
+        onFilterPress={canSortOrFilter ? () => setSheetVisible(true) : null}
+        filterChips={filterChips}
       >
-        <ScrollView
-          refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={refresh} />
-          }
-          contentContainerStyle={{
-            paddingHorizontal: 16,
-            paddingBottom: 24,
-          }}
-        >
-          {items.length === 0 && !loading && !error ? (
-            <Text style={{ color: "white" }}>No data yet.</Text>
-          ) : null}
-
-          {showNoMatches && (
-            <Text style={{ color: "#9CA3AF", marginBottom: 8 }}>
-              No planets match "{searchText}".
-            </Text>
-          )}
-
-          {filteredItems.map((item) => (
-            <Swipeable
-              key={item.id}
-              renderRightActions={renderSwipeActions}
-              // Swipe LEFT (opening right actions) -> navigate to detail
-              onSwipeableRightOpen={() =>
-                navigation.navigate("PlanetDetail", {
-                  url: item.url,
-                  name: item.name,
-                })
-              }
-            >
-              <View
-                style={{
-                  backgroundColor: "#111827",
-                  padding: 14,
-                  borderRadius: 12,
-                  marginVertical: 6,
-                }}
-              >
-                <Text
-                  style={{ color: "white", fontSize: 16, fontWeight: "600" }}
-                >
-                  {item.name}
-                </Text>
-                <Text style={{ color: "#9CA3AF", fontSize: 12 }}>
-                  {item.url}
+        {canCompare && (
+          <CompareBar
+            noun={resource.title.toLowerCase()}
+            selecting={selecting}
+            count={selected.length}
+            onStart={() => setSelecting(true)}
+            onCancel={stopSelecting}
+            onCompare={() => {
+              navigation.navigate("ResourceCompare", {
+                resourceKey,
+                records: selected,
+              });
+              stopSelecting();
+            }}
+          />
+        )}
+        <ListProfiler id={`${resource.title} list`}>
+          <FlatList
+            data={filteredItems}
+            keyExtractor={keyExtractor}
+            renderItem={renderItem}
+            extraData={`${favoriteUrls}#${selected.length}#${selecting}`}
+            refreshControl={
+              <RefreshControl refreshing={refreshing} onRefresh={refresh} />
+            }
+            contentContainerStyle={{
+              paddingHorizontal: 16,
+              paddingBottom: 24,
+            }}
+            // Next page when the user nears the end. Search results are a
+            // single page; after an error the footer offers a retry instead.
+            onEndReached={() => {
+              if (searchMode !== "server" && !error) loadMore();
+            }}
+            onEndReachedThreshold={0.5}
+            // Rows wrap long subtitles, so heights vary and getItemLayout
+            // would misplace them. Instead: a first screenful, batches of
+            // one SWAPI page, and 3 screens either side instead of 10, so a
+            // few hundred loaded rows don't all stay mounted.
+            initialNumToRender={12}
+            maxToRenderPerBatch={10}
+            windowSize={7}
+            removeClippedSubviews
+            ListEmptyComponent={
+              loading ? null : showNoMatches ? (
+                <Text style={{ color: colors.textSecondary, marginBottom: 8 }}>
+                  No {resource.title.toLowerCase()} match{" "}
+                  {[
+                    normalizedSearch && `"${searchText}"`,
+                    filterChips.length > 0 && "the active filters",
+                  ]
+                    .filter(Boolean)
+                    .join(" and ")}
+                  .
                 </Text>
-              </View>
-            </Swipeable>
-          ))}
-
-          {loading && (
-            <View style={{ paddingVertical: 16 }}>
-              <ActivityIndicator />
-            </View>
-          )}
-
-          {hasMore && !loading && items.length > 0 && (
-            <TouchableOpacity
-              onPress={loadMore}
-              style={{
-                marginTop: 8,
-                backgroundColor: "#1f2937",
-                paddingVertical: 10,
-                borderRadius: 8,
-              }}
-            >
-              <Text style={{ color: "white", textAlign: "center" }}>
-                Load More
-              </Text>
-            </TouchableOpacity>
-          )}
-        </ScrollView>
+              ) : items.length === 0 && !error ? (
+                <Text style={{ color: colors.text }}>No data yet.</Text>
+              ) : null
+            }
+            ListFooterComponent={
+              <ListFooter
+                loading={loading}
+                error={items.length > 0 ? error : null}
+                onRetry={loadMore}
+                endReached={searchMode === "server" || !hasMore}
+                count={filteredItems.length}
+                noun={resource.title.toLowerCase()}
+              />
+            }
+          />
+        </ListProfiler>
       </ListShell>
+
+      {canSortOrFilter && (
+        <ListQuerySheet
+          visible={sheetVisible}
+          resource={resource}
+          items={items}
+          query={listQuery}
+          onChange={setListQuery}
+          onClose={() => setSheetVisible(false)}
+        />
+      )}
     </SafeAreaView>
   );
 }
 
 /* =====================================================
-   PLANET DETAIL SCREEN
-   Fetches detail URL and shows bulk of data
+   RESOURCE DETAIL SCREEN
+   Fetches detail URL and shows bulk of data,
+   laid out by the resource's registry entry
    ===================================================== */
-function PlanetDetailScreen({ route, navigation }) {
-  const { url, name } = route.params;
-  const [planet, setPlanet] = useState(null);
+function ResourceDetailScreen({ route, navigation }) {
+  const { colors } = useTheme();
+  const { resourceKey, url, name } = route.params;
+  const resource = RESOURCES[resourceKey];
+  const [record, setRecord] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { favoriteFor, toggleFavorite, refreshSnapshot } = useFavorites();
+  const favorite = favoriteFor(url);
 
   useEffect(() => {
     let mounted = true;
+    // stops pending retries when the screen goes away
+    const controller = new AbortController();
 
     const fetchDetail = async () => {
       try {
         setLoading(true);
         setError(null);
 
-        const netState = await NetInfo.fetch();
-        const online =
-          netState.isConnected && netState.isInternetReachable !== false;
-        if (!online) throw new Error("No internet connection");
+        if (!(await isOnline())) throw offlineError();
 
-        const res = await fetch(url);
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
+        const json = await swapiRequest(url, { signal: controller.signal });
 
         const props = json?.result?.properties || {};
-        if (mounted) setPlanet(props);
+        if (mounted) {
+          setRecord(props);
+          refreshSnapshot(url, props);
+        }
       } catch (e) {
-        if (mounted) setError(e.message || "Failed to load planet");
+        if (mounted && e.name !== "AbortError") setError(e);
       } finally {
         if (mounted) setLoading(false);
       }
@@ -436,11 +2321,44 @@ function PlanetDetailScreen({ route, navigation }) {
     fetchDetail();
     return () => {
       mounted = false;
+      controller.abort();
     };
-  }, [url]);
+  }, [url, refreshSnapshot]);
+
+  // Favorites stay readable offline from their stored snapshot
+  const showingSnapshot = !record && !!error && !!favorite;
+  const shown = showingSnapshot ? favorite.record : record;
+
+  // Reference properties get their own linked section (registry
+  // detailLinks first, in order); `url` is the record itself.
+  const textKeys = (resource.detailText || []).map((f) => f.key);
+  const linkKeys = (resource.detailLinks || []).map((f) => f.key);
+  const entries = shown ? Object.entries(shown) : [];
+  const isLinkEntry = ([key, value]) =>
+    linkKeys.includes(key) || (key !== "url" && isReferenceValue(value));
+
+  const relatedLinks = shown
+    ? [
+        ...(resource.detailLinks || []).map((f) => ({
+          key: f.key,
+          label: f.label,
+          urls: [].concat(shown[f.key] || []).filter(resourceKeyForUrl),
+        })),
+        ...entries
+          .filter((e) => !linkKeys.includes(e[0]) && isLinkEntry(e))
+          .map(([key, value]) => ({
+            key,
+            label: prettyKey(key),
+            urls: Array.isArray(value) ? value : [value],
+          })),
+      ]
+    : [];
+  const propertyEntries = entries.filter(
+    (e) => !isLinkEntry(e) && !textKeys.includes(e[0])
+  );
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: "#020617" }}>
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.backgroundAlt }}>
       <ScrollView
         contentContainerStyle={{
           paddingHorizontal: 16,
@@ -451,7 +2369,7 @@ function PlanetDetailScreen({ route, navigation }) {
         {/* Page title + subtitle */}
         <Text
           style={{
-            color: "white",
+            color: colors.text,
             fontSize: 28,
             fontWeight: "800",
             marginBottom: 4,
@@ -461,14 +2379,30 @@ function PlanetDetailScreen({ route, navigation }) {
         </Text>
         <Text
           style={{
-            color: "#9CA3AF",
+            color: colors.textSecondary,
             fontSize: 14,
             marginBottom: 16,
           }}
         >
-          Planet detail from swapi.tech
+          {resource.singular} detail from swapi.tech
         </Text>
 
+        <TouchableOpacity
+          onPress={() => toggleFavorite(resourceKey, shown || { name, url })}
+          style={{
+            alignSelf: "flex-start",
+            paddingHorizontal: 12,
+            paddingVertical: 6,
+            borderRadius: 999,
+            backgroundColor: colors.inset,
+            marginBottom: 16,
+          }}
+        >
+          <Text style={{ color: colors.highlight, fontWeight: "600" }}>
+            {favorite ? "★ In favorites" : "☆ Add to favorites"}
+          </Text>
+        </TouchableOpacity>
+
         {/* Loading / error states */}
         {loading && (
           <View style={{ paddingVertical: 20 }}>
@@ -479,23 +2413,33 @@ function PlanetDetailScreen({ route, navigation }) {
         {error && !loading && (
           <View
             style={{
-              backgroundColor: "#7f1d1d",
+              backgroundColor: colors.dangerBg,
               padding: 12,
               borderRadius: 10,
               marginBottom: 16,
             }}
           >
-            <Text style={{ color: "#fecaca" }}>Error: {error}</Text>
+            <Text style={{ color: colors.dangerText }}>
+              {describeSwapiError(error)}
+            </Text>
+            {showingSnapshot && (
+              <Text
+                style={{ color: colors.dangerText, fontSize: 12, marginTop: 6 }}
+              >
+                Showing the copy saved{" "}
+                {formatAge(Date.now() - favorite.savedAt)} with your favorites.
+              </Text>
+            )}
           </View>
         )}
 
         {/* Content */}
-        {planet && !loading && (
+        {shown && !loading && (
           <>
             {/* Quick chips */}
             <View
               style={{
-                backgroundColor: "#0f172a",
+                backgroundColor: colors.panel,
                 borderRadius: 16,
                 padding: 16,
                 marginBottom: 12,
@@ -503,7 +2447,7 @@ function PlanetDetailScreen({ route, navigation }) {
             >
               <Text
                 style={{
-                  color: "#F9FAFB",
+                  color: colors.text,
                   fontSize: 16,
                   fontWeight: "700",
                   marginBottom: 10,
@@ -520,31 +2464,77 @@ function PlanetDetailScreen({ route, navigation }) {
                   marginBottom: 6,
                 }}
               >
-                <Tag label="Climate" value={planet.climate} />
-                <Tag label="Terrain" value={planet.terrain} />
-                <Tag label="Population" value={planet.population} />
-                <Tag label="Gravity" value={planet.gravity} />
-                <Tag label="Diameter" value={planet.diameter} />
-              </View>
-
-              <View style={{ marginTop: 8 }}>
-                <DetailRow label="Rotation period" value={planet.rotation_period} />
-                <DetailRow label="Orbital period" value={planet.orbital_period} />
-                <DetailRow label="Surface water" value={planet.surface_water} />
+                {resource.detailTags.map((f) => (
+                  <Tag key={f.key} label={f.label} value={shown[f.key]} />
+                ))}
+              </View>
+
+              <View style={{ marginTop: 8 }}>
+                {resource.detailFields.map((f) => (
+                  <DetailRow key={f.key} label={f.label} value={shown[f.key]} />
+                ))}
+              </View>
+            </View>
+
+            {/* Long text sections (e.g. opening crawl) */}
+            {(resource.detailText || [])
+              .filter((f) => shown[f.key])
+              .map((f) => (
+                <View
+                  key={f.key}
+                  style={{
+                    backgroundColor: colors.panel,
+                    borderRadius: 16,
+                    padding: 16,
+                    marginBottom: 12,
+                  }}
+                >
+                  <SectionHeader title={f.label} />
+                  <Text
+                    style={{
+                      color: colors.highlight,
+                      fontSize: 14,
+                      lineHeight: 22,
+                    }}
+                  >
+                    {String(shown[f.key]).replace(/\r\n/g, "\n")}
+                  </Text>
+                </View>
+              ))}
+
+            {/* Related resources (reference URLs resolved to names) */}
+            {relatedLinks.length > 0 && (
+              <View
+                style={{
+                  backgroundColor: colors.panel,
+                  borderRadius: 16,
+                  padding: 16,
+                  marginBottom: 12,
+                }}
+              >
+                <SectionHeader title="Related" />
+                {relatedLinks.map((link) => (
+                  <ReferenceLinks
+                    key={link.key}
+                    label={link.label}
+                    urls={link.urls}
+                    navigation={navigation}
+                  />
+                ))}
               </View>
-            </View>
+            )}
 
-            {/* Bulk properties (render everything) */}
+            {/* Bulk properties (render everything else) */}
             <View
               style={{
-                backgroundColor: "#0f172a",
+                backgroundColor: colors.panel,
                 borderRadius: 16,
                 padding: 16,
               }}
             >
               <SectionHeader title="All properties" />
 
-              {Object.entries(planet).map(([key, value]) => {
+              {propertyEntries.map(([key, value]) => {
                 const display =
                   Array.isArray(value)
                     ? value.length === 0
@@ -574,18 +2564,18 @@ function PlanetDetailScreen({ route, navigation }) {
             paddingVertical: 12,
             paddingHorizontal: 24,
             borderRadius: 999,
-            backgroundColor: "#1d4ed8",
+            backgroundColor: colors.primary,
           }}
         >
           <Text
             style={{
-              color: "white",
+              color: colors.onPrimary,
               textAlign: "center",
               fontWeight: "600",
               fontSize: 16,
             }}
           >
-            Back to planets
+            Back
           </Text>
         </TouchableOpacity>
       </ScrollView>
@@ -593,6 +2583,75 @@ function PlanetDetailScreen({ route, navigation }) {
   );
 }
 
+/* Tappable chips for a reference property; each resolves on its own
+   and pushes the matching detail screen onto the current stack.
+   A URL listed twice gets one chip (and a unique key). */
+function ReferenceLinks({ label, urls: listed, navigation }) {
+  const { colors } = useTheme();
+  const urls = Array.from(new Set(listed));
+  const names = useReferenceNames(urls);
+
+  return (
+    <View style={{ marginBottom: 12 }}>
+      <Text
+        style={{ color: colors.textSecondary, fontSize: 14, marginBottom: 6 }}
+      >
+        {label}
+      </Text>
+      {urls.length === 0 && (
+        <Text style={{ color: colors.textMuted, fontSize: 12 }}>
+          None on record
+        </Text>
+      )}
+      <View style={{ flexDirection: "row", flexWrap: "wrap", gap: 8 }}>
+        {urls.map((url) => {
+          const entry = names[url];
+          const resourceKey = resourceKeyForUrl(url);
+          const fallback = `${RESOURCES[resourceKey].singular} #${url
+            .split("/")
+            .pop()}`;
+
+          return (
+            <TouchableOpacity
+              key={url}
+              disabled={!entry}
+              onPress={() =>
+                navigation.push("ResourceDetail", {
+                  resourceKey,
+                  url,
+                  name: entry?.name ?? fallback,
+                })
+              }
+              style={{
+                flexDirection: "row",
+                alignItems: "center",
+                borderRadius: 999,
+                backgroundColor: colors.inset,
+                paddingHorizontal: 10,
+                paddingVertical: 4,
+              }}
+            >
+              {!entry ? (
+                <ActivityIndicator size="small" />
+              ) : (
+                <Text
+                  style={{
+                    color: entry.error ? colors.textSecondary : colors.link,
+                    fontSize: 12,
+                    fontWeight: "600",
+                  }}
+                >
+                  {entry.error ? fallback : entry.name}
+                </Text>
+              )}
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
 function prettyKey(key) {
   return String(key)
     .replace(/_/g, " ")
@@ -600,6 +2659,7 @@ function prettyKey(key) {
 }
 
 function DetailRow({ label, value }) {
+  const { colors } = useTheme();
   if (value == null) return null;
   const trimmed = String(value).trim();
   if (!trimmed) return null;
@@ -611,15 +2671,17 @@ function DetailRow({ label, value }) {
         justifyContent: "space-between",
         paddingVertical: 6,
         borderBottomWidth: 1,
-        borderBottomColor: "#111827",
+        borderBottomColor: colors.divider,
       }}
     >
-      <Text style={{ color: "#9CA3AF", fontSize: 14, maxWidth: "42%" }}>
+      <Text
+        style={{ color: colors.textSecondary, fontSize: 14, maxWidth: "42%" }}
+      >
         {label}
       </Text>
       <Text
         style={{
-          color: "#E5E7EB",
+          color: colors.textBody,
           fontSize: 14,
           fontWeight: "600",
           maxWidth: "55%",
@@ -633,12 +2695,13 @@ function DetailRow({ label, value }) {
 }
 
 function SectionHeader({ title }) {
+  const { colors } = useTheme();
   return (
     <Text
       style={{
         marginTop: 4,
         marginBottom: 10,
-        color: "#F9FAFB",
+        color: colors.text,
         fontSize: 16,
         fontWeight: "700",
       }}
@@ -649,20 +2712,23 @@ function SectionHeader({ title }) {
 }
 
 function Tag({ label, value }) {
+  const { colors } = useTheme();
   if (!value) return null;
   return (
     <View
       style={{
         flexDirection: "row",
         borderRadius: 999,
-        backgroundColor: "#111827",
+        backgroundColor: colors.inset,
         paddingHorizontal: 10,
         paddingVertical: 4,
         alignItems: "center",
       }}
     >
-      <Text style={{ color: "#9CA3AF", fontSize: 12 }}>{label}: </Text>
-      <Text style={{ color: "#E5E7EB", fontSize: 12, fontWeight: "600" }}>
+      <Text style={{ color: colors.textSecondary, fontSize: 12 }}>
+        {label}:{" "}
+      </Text>
+      <Text style={{ color: colors.textBody, fontSize: 12, fontWeight: "600" }}>
         {String(value)}
       </Text>
     </View>
@@ -670,385 +2736,542 @@ function Tag({ label, value }) {
 }
 
 /* =====================================================
-   SPACESHIPS SCREEN (unchanged: swipe shows modal)
+   COMPARE SCREEN
+   2–4 records side by side across every property. Rows whose
+   values differ are highlighted; compareFields are parsed as
+   numbers and drawn as bars relative to the largest known
+   value ("unknown" gets no bar).
    ===================================================== */
-function SpaceshipsScreen() {
-  const initialUrl = "https://www.swapi.tech/api/starships";
-  const parsePage = useCallback((json) => {
-    const records = (json.results || []).map((s) => ({
-      id: String(s.uid),
-      name: s.name,
-      url: s.url,
-    }));
-    return { records, next: json.next || null };
-  }, []);
+const HIDDEN_COMPARE_KEYS = ["id", "name", "url"];
 
-  const { items, loading, error, refresh, refreshing, loadMore, hasMore } =
-    useSwapiList(initialUrl, parsePage);
+function compareKey(value) {
+  if (Array.isArray(value)) return value.length;
+  return String(value ?? "")
+    .trim()
+    .toLowerCase();
+}
 
-  const [searchText, setSearchText] = useState("");
+function valuesDiffer(values) {
+  return new Set(values.map(compareKey)).size > 1;
+}
 
-  const normalizedSearch = searchText.trim().toLowerCase();
-  const filteredItems =
-    normalizedSearch.length === 0
-      ? items
-      : items.filter((item) =>
-          item.name.toLowerCase().includes(normalizedSearch)
+function compareText(value) {
+  if (value == null || value === "") return "—";
+  if (isReferenceValue(value)) {
+    const count = [].concat(value).length;
+    return `${count} linked`;
+  }
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+/* Search results (or unexpanded pages) may only carry name + url */
+function isThinRecord(resource, record) {
+  return resource.compareFields.every((f) => record[f.key] === undefined);
+}
+
+function CompareScreen({ route }) {
+  const { colors } = useTheme();
+  const { resourceKey, records: initialRecords } = route.params;
+  const resource = RESOURCES[resourceKey];
+  const [records, setRecords] = useState(initialRecords);
+  const [error, setError] = useState(null);
+
+  const numericKeys = resource.compareFields.map((f) => f.key);
+  const missingDetails = records.some((r) => isThinRecord(resource, r));
+
+  useEffect(() => {
+    const isThin = (record) => isThinRecord(resource, record);
+    if (!initialRecords.some(isThin)) return;
+    const controller = new AbortController();
+
+    (async () => {
+      try {
+        const full = await Promise.all(
+          initialRecords.map(async (record) => {
+            if (!isThin(record)) return record;
+            const json = await swapiRequest(record.url, {
+              signal: controller.signal,
+            });
+            return { ...record, ...(json?.result?.properties || {}) };
+          })
         );
+        setRecords(full);
+      } catch (e) {
+        if (e.name !== "AbortError") setError(e);
+      }
+    })();
 
-  const showNoMatches =
-    !loading && !error && items.length > 0 && filteredItems.length === 0;
+    return () => controller.abort();
+  }, [initialRecords, resource]);
+
+  const numericRows = resource.compareFields.map((field) => {
+    const raw = records.map((r) => r[field.key]);
+    const values = raw.map(parseLeadingNumber);
+    const known = values.filter((v) => v != null);
+    return {
+      field,
+      raw,
+      values,
+      max: known.length > 0 ? Math.max(...known) : 0,
+      differs: valuesDiffer(raw),
+    };
+  });
 
-  const [swipeModalVisible, setSwipeModalVisible] = useState(false);
-  const [swipedItemText, setSwipedItemText] = useState("");
+  const otherKeys = [...new Set(records.flatMap(Object.keys))].filter(
+    (key) => !HIDDEN_COMPARE_KEYS.includes(key) && !numericKeys.includes(key)
+  );
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0d10" }}>
-      <ListShell
-        title={`Spaceships ${hasMore ? "" : "(all loaded)"}`}
-        error={error}
-        onRefresh={refresh}
-        refreshing={refreshing}
-        loading={loading}
-        imageUrl={HEADER_IMAGES.spaceships}
-        searchText={searchText}
-        onSearchTextChange={setSearchText}
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.backgroundAlt }}>
+      <ScrollView
+        contentContainerStyle={{
+          paddingHorizontal: 16,
+          paddingTop: 16,
+          paddingBottom: 24,
+        }}
       >
-        <ScrollView
-          refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={refresh} />
-          }
-          contentContainerStyle={{
-            paddingHorizontal: 16,
-            paddingBottom: 24,
-          }}
-        >
-          {items.length === 0 && !loading && !error ? (
-            <Text style={{ color: "white" }}>No data yet.</Text>
-          ) : null}
-
-          {showNoMatches && (
-            <Text style={{ color: "#9CA3AF", marginBottom: 8 }}>
-              No spaceships match "{searchText}".
-            </Text>
-          )}
-
-          {filteredItems.map((item) => (
-            <Swipeable
-              key={item.id}
-              renderRightActions={renderSwipeActions}
-              onSwipeableRightOpen={() => {
-                setSwipedItemText(swipeTextForItem(item));
-                setSwipeModalVisible(true);
+        {/* Column headers */}
+        <View style={{ flexDirection: "row", gap: 8, marginBottom: 12 }}>
+          {records.map((record) => (
+            <Text
+              key={record.url}
+              numberOfLines={2}
+              style={{
+                flex: 1,
+                color: colors.text,
+                fontSize: 16,
+                fontWeight: "700",
               }}
             >
-              <View
-                style={{
-                  backgroundColor: "#111827",
-                  padding: 14,
-                  borderRadius: 12,
-                  marginVertical: 6,
-                }}
-              >
-                <Text
-                  style={{ color: "white", fontSize: 16, fontWeight: "600" }}
-                >
-                  {item.name}
-                </Text>
-                <Text style={{ color: "#9CA3AF", fontSize: 12 }}>
-                  {item.url}
-                </Text>
-              </View>
-            </Swipeable>
+              {record.name}
+            </Text>
           ))}
+        </View>
 
-          {loading && (
-            <View style={{ paddingVertical: 16 }}>
-              <ActivityIndicator />
-            </View>
-          )}
-
-          {hasMore && !loading && items.length > 0 && (
-            <TouchableOpacity
-              onPress={loadMore}
-              style={{
-                marginTop: 8,
-                backgroundColor: "#1f2937",
-                paddingVertical: 10,
-                borderRadius: 8,
-              }}
-            >
-              <Text style={{ color: "white", textAlign: "center" }}>
-                Load More
-              </Text>
-            </TouchableOpacity>
-          )}
-        </ScrollView>
-      </ListShell>
+        {missingDetails && !error && (
+          <View style={{ paddingVertical: 12 }}>
+            <ActivityIndicator />
+          </View>
+        )}
 
-      <Modal
-        transparent
-        visible={swipeModalVisible}
-        animationType="fade"
-        onRequestClose={() => setSwipeModalVisible(false)}
-      >
-        <View
-          style={{
-            flex: 1,
-            backgroundColor: "rgba(0,0,0,0.6)",
-            justifyContent: "center",
-            alignItems: "center",
-          }}
-        >
+        {error && (
           <View
             style={{
-              backgroundColor: "#111827",
-              padding: 20,
-              borderRadius: 12,
-              width: "80%",
+              backgroundColor: colors.dangerBg,
+              padding: 12,
+              borderRadius: 10,
+              marginBottom: 16,
             }}
           >
-            <Text style={{ color: "white", fontSize: 16, marginBottom: 12 }}>
-              Swiped item:
+            <Text style={{ color: colors.dangerText }}>
+              {describeSwapiError(error)}
             </Text>
-            <Text
-              style={{
-                color: "#facc15",
-                fontSize: 18,
-                fontWeight: "600",
-                marginBottom: 20,
-              }}
-            >
-              {swipedItemText}
-            </Text>
-            <TouchableOpacity
-              onPress={() => setSwipeModalVisible(false)}
-              style={{
-                alignSelf: "flex-end",
-                paddingHorizontal: 16,
-                paddingVertical: 8,
-                backgroundColor: "#1f2937",
-                borderRadius: 8,
-              }}
-            >
-              <Text style={{ color: "white", fontWeight: "600" }}>Close</Text>
-            </TouchableOpacity>
           </View>
+        )}
+
+        <View
+          style={{
+            backgroundColor: colors.panel,
+            borderRadius: 16,
+            padding: 16,
+            marginBottom: 12,
+          }}
+        >
+          <SectionHeader title="Measurements" />
+          {numericRows.map(({ field, raw, values, max, differs }) => (
+            <CompareRow key={field.key} label={field.label} differs={differs}>
+              {values.map((value, i) => (
+                <View key={records[i].url} style={{ flex: 1 }}>
+                  <Text
+                    style={{
+                      color: value == null ? colors.textMuted : colors.textBody,
+                      fontSize: 13,
+                      fontStyle: value == null ? "italic" : "normal",
+                    }}
+                  >
+                    {value == null
+                      ? compareText(raw[i])
+                      : value.toLocaleString()}
+                  </Text>
+                  {value != null && (
+                    <View
+                      style={{
+                        height: 6,
+                        borderRadius: 3,
+                        marginTop: 4,
+                        backgroundColor: colors.inset,
+                      }}
+                    >
+                      <View
+                        style={{
+                          height: 6,
+                          borderRadius: 3,
+                          backgroundColor:
+                            value === max && differs
+                              ? colors.accent
+                              : colors.primary,
+                          width: `${max > 0 ? Math.max(2, (value / max) * 100) : 0}%`,
+                        }}
+                      />
+                    </View>
+                  )}
+                </View>
+              ))}
+            </CompareRow>
+          ))}
+        </View>
+
+        <View
+          style={{
+            backgroundColor: colors.panel,
+            borderRadius: 16,
+            padding: 16,
+          }}
+        >
+          <SectionHeader title="All properties" />
+          {otherKeys.map((key) => {
+            const raw = records.map((r) => r[key]);
+            return (
+              <CompareRow
+                key={key}
+                label={prettyKey(key)}
+                differs={valuesDiffer(raw)}
+              >
+                {raw.map((value, i) => (
+                  <Text
+                    key={records[i].url}
+                    style={{ flex: 1, color: colors.textBody, fontSize: 13 }}
+                  >
+                    {compareText(value)}
+                  </Text>
+                ))}
+              </CompareRow>
+            );
+          })}
         </View>
-      </Modal>
+      </ScrollView>
     </SafeAreaView>
   );
 }
 
-/* =====================================================
-   FILMS SCREEN (unchanged: swipe shows modal)
-   ===================================================== */
-function FilmsScreen() {
-  const initialUrl = "https://www.swapi.tech/api/films";
-  const parsePage = useCallback((json) => {
-    const records = (json.result || []).map((f) => ({
-      id: String(f.uid),
-      title: f?.properties?.title ?? "Untitled",
-      release_date: f?.properties?.release_date ?? "",
-      director: f?.properties?.director ?? "",
-    }));
-    return { records, next: json.next || null };
-  }, []);
+/* One property across all compared records */
+function CompareRow({ label, differs, children }) {
+  const { colors } = useTheme();
+  return (
+    <View
+      style={{
+        paddingVertical: 8,
+        paddingHorizontal: 6,
+        marginHorizontal: -6,
+        borderRadius: 8,
+        backgroundColor: differs ? colors.highlightBg : "transparent",
+      }}
+    >
+      <Text
+        style={{
+          color: differs ? colors.highlight : colors.textSecondary,
+          fontSize: 12,
+          marginBottom: 4,
+        }}
+      >
+        {label}
+        {differs ? " · differs" : ""}
+      </Text>
+      <View style={{ flexDirection: "row", gap: 8 }}>{children}</View>
+    </View>
+  );
+}
 
-  const { items, loading, error, refresh, refreshing } = useSwapiList(
-    initialUrl,
-    parsePage
+function FavoriteStar({ active, onPress }) {
+  const { colors } = useTheme();
+  return (
+    <TouchableOpacity
+      onPress={onPress}
+      hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+      style={{ paddingLeft: 12 }}
+    >
+      <Text
+        style={{
+          color: active ? colors.highlight : colors.textFaint,
+          fontSize: 20,
+        }}
+      >
+        {active ? "★" : "☆"}
+      </Text>
+    </TouchableOpacity>
   );
+}
 
-  const [searchText, setSearchText] = useState("");
+/* =====================================================
+   FAVORITES SCREEN
+   Saved records grouped by resource, read entirely from
+   the stored snapshots. Removing shows an undo bar.
+   ===================================================== */
+const UNDO_TIMEOUT_MS = 4000;
 
-  const normalizedSearch = searchText.trim().toLowerCase();
-  const filteredItems =
-    normalizedSearch.length === 0
-      ? items
-      : items.filter((item) =>
-          item.title.toLowerCase().includes(normalizedSearch)
-        );
+function FavoritesScreen({ navigation }) {
+  const { colors } = useTheme();
+  const { favorites, removeFavorite, restoreFavorite } = useFavorites();
+  const [removed, setRemoved] = useState(null); // { entry, index }
 
-  const showNoMatches =
-    !loading && !error && items.length > 0 && filteredItems.length === 0;
+  useEffect(() => {
+    if (!removed) return;
+    const id = setTimeout(() => setRemoved(null), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(id);
+  }, [removed]);
+
+  const remove = (entry) => {
+    setRemoved({ entry, index: favorites.indexOf(entry) });
+    removeFavorite(entry.url);
+  };
+
+  const undo = () => {
+    restoreFavorite(removed.entry, removed.index);
+    setRemoved(null);
+  };
 
-  const [swipeModalVisible, setSwipeModalVisible] = useState(false);
-  const [swipedItemText, setSwipedItemText] = useState("");
+  const groups = RESOURCE_KEYS.map((key) => ({
+    key,
+    resource: RESOURCES[key],
+    entries: favorites.filter((f) => f.resourceKey === key),
+  })).filter((g) => g.entries.length > 0);
 
   return (
-    <SafeAreaView style={{ flex: 1, backgroundColor: "#0b0d10" }}>
-      <ListShell
-        title="Films"
-        error={error}
-        onRefresh={refresh}
-        refreshing={refreshing}
-        loading={loading}
-        imageUrl={HEADER_IMAGES.films}
-        searchText={searchText}
-        onSearchTextChange={setSearchText}
+    <SafeAreaView style={{ flex: 1, backgroundColor: colors.background }}>
+      <ScrollView
+        contentContainerStyle={{
+          paddingHorizontal: 16,
+          paddingTop: 16,
+          paddingBottom: 96,
+        }}
       >
-        <ScrollView
-          refreshControl={
-            <RefreshControl refreshing={refreshing} onRefresh={refresh} />
-          }
-          contentContainerStyle={{
-            paddingHorizontal: 16,
-            paddingBottom: 24,
+        <Text
+          style={{
+            color: colors.text,
+            fontSize: 22,
+            fontWeight: "700",
+            marginBottom: 8,
           }}
         >
-          {items.length === 0 && !loading && !error ? (
-            <Text style={{ color: "white" }}>No data yet.</Text>
-          ) : null}
+          Favorites
+        </Text>
 
-          {showNoMatches && (
-            <Text style={{ color: "#9CA3AF", marginBottom: 8 }}>
-              No films match "{searchText}".
-            </Text>
-          )}
-
-          {filteredItems.map((item) => (
-            <Swipeable
-              key={item.id}
-              renderRightActions={renderSwipeActions}
-              onSwipeableRightOpen={() => {
-                setSwipedItemText(swipeTextForItem(item));
-                setSwipeModalVisible(true);
-              }}
-            >
-              <View
+        {groups.length === 0 && (
+          <Text style={{ color: colors.textSecondary }}>
+            Nothing saved yet. Tap ☆ on any planet, starship or film (or swipe
+            it right) to keep it here, even offline.
+          </Text>
+        )}
+
+        {groups.map(({ key, resource, entries }) => (
+          <View key={key} style={{ marginTop: 12 }}>
+            <SectionHeader title={`${resource.title} (${entries.length})`} />
+            {entries.map((entry) => (
+              <TouchableOpacity
+                key={entry.url}
+                onPress={() =>
+                  navigation.navigate("ResourceDetail", {
+                    resourceKey: key,
+                    url: entry.url,
+                    name: entry.name,
+                  })
+                }
                 style={{
-                  backgroundColor: "#111827",
+                  backgroundColor: colors.card,
                   padding: 14,
                   borderRadius: 12,
-                  marginVertical: 6,
+                  marginBottom: 8,
+                  flexDirection: "row",
+                  alignItems: "center",
                 }}
               >
-                <Text
-                  style={{ color: "white", fontSize: 16, fontWeight: "700" }}
+                <View style={{ flex: 1 }}>
+                  <Text
+                    style={{
+                      color: colors.text,
+                      fontSize: 16,
+                      fontWeight: "600",
+                    }}
+                  >
+                    {entry.name}
+                  </Text>
+                  <Text style={{ color: colors.textSecondary, fontSize: 12 }}>
+                    {listSubtitle(resource, entry.record)}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => remove(entry)}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                  style={{ paddingLeft: 12 }}
+                  accessibilityLabel={`Remove ${entry.name} from favorites`}
                 >
-                  {item.title}
-                </Text>
-                <Text style={{ color: "#9CA3AF", fontSize: 12 }}>
-                  Release: {item.release_date} • Director: {item.director}
-                </Text>
-              </View>
-            </Swipeable>
-          ))}
-
-          {loading && (
-            <View style={{ paddingVertical: 16 }}>
-              <ActivityIndicator />
-            </View>
-          )}
-        </ScrollView>
-      </ListShell>
+                  <Text style={{ color: colors.textSecondary, fontSize: 16 }}>
+                    ✕
+                  </Text>
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ))}
+      </ScrollView>
 
-      <Modal
-        transparent
-        visible={swipeModalVisible}
-        animationType="fade"
-        onRequestClose={() => setSwipeModalVisible(false)}
-      >
+      {/* Undo bar */}
+      {removed && (
         <View
           style={{
-            flex: 1,
-            backgroundColor: "rgba(0,0,0,0.6)",
-            justifyContent: "center",
+            position: "absolute",
+            left: 16,
+            right: 16,
+            bottom: 24,
+            flexDirection: "row",
             alignItems: "center",
+            backgroundColor: colors.button,
+            borderRadius: 10,
+            paddingHorizontal: 14,
+            paddingVertical: 10,
           }}
         >
-          <View
-            style={{
-              backgroundColor: "#111827",
-              padding: 20,
-              borderRadius: 12,
-              width: "80%",
-            }}
-          >
-            <Text style={{ color: "white", fontSize: 16, marginBottom: 12 }}>
-              Swiped item:
-            </Text>
-            <Text
-              style={{
-                color: "#facc15",
-                fontSize: 18,
-                fontWeight: "600",
-                marginBottom: 20,
-              }}
-            >
-              {swipedItemText}
+          <Text style={{ color: colors.text, flex: 1 }} numberOfLines={1}>
+            Removed {removed.entry.name}
+          </Text>
+          <TouchableOpacity onPress={undo}>
+            <Text style={{ color: colors.action, fontWeight: "700" }}>
+              UNDO
             </Text>
-            <TouchableOpacity
-              onPress={() => setSwipeModalVisible(false)}
-              style={{
-                alignSelf: "flex-end",
-                paddingHorizontal: 16,
-                paddingVertical: 8,
-                backgroundColor: "#1f2937",
-                borderRadius: 8,
-              }}
-            >
-              <Text style={{ color: "white", fontWeight: "600" }}>Close</Text>
-            </TouchableOpacity>
-          </View>
+          </TouchableOpacity>
         </View>
-      </Modal>
+      )}
     </SafeAreaView>
   );
 }
 
 /* =====================================================
    NAVIGATION SETUP
-   Planets = Stack (List + Detail)
-   Tabs: PlanetsStack, Spaceships, Films
+   Every resource tab = Stack (ResourceList + ResourceDetail,
+   plus ResourceCompare for resources with compareFields)
+   Tabs follow RESOURCE_KEYS, then Favorites
    ===================================================== */
 const Tab = createMaterialTopTabNavigator();
-const PlanetsStack = createNativeStackNavigator();
+const ResourceStack = createNativeStackNavigator();
+
+/* Shared stack header chrome, with the theme switch on the right */
+function stackScreenOptions(colors) {
+  return {
+    headerStyle: { backgroundColor: colors.backgroundAlt },
+    headerTintColor: colors.text,
+    headerTitleStyle: { fontWeight: "700" },
+    headerRight: () => <ThemeToggle />,
+  };
+}
+
+function ResourceStackScreen({ route }) {
+  const { colors } = useTheme();
+  const { resourceKey } = route.params;
+  const resource = RESOURCES[resourceKey];
 
-function PlanetsStackScreen() {
   return (
-    <PlanetsStack.Navigator
-      screenOptions={{
-        headerStyle: { backgroundColor: "#020617" },
-        headerTintColor: "white",
-        headerTitleStyle: { fontWeight: "700" },
-      }}
-    >
-      <PlanetsStack.Screen
-        name="PlanetsList"
-        component={PlanetsScreen}
-        options={{ title: "Planets" }}
+    <ResourceStack.Navigator screenOptions={stackScreenOptions(colors)}>
+      <ResourceStack.Screen
+        name="ResourceList"
+        component={ResourceListScreen}
+        initialParams={{ resourceKey }}
+        options={{ title: resource.title }}
+      />
+      {resource.compareFields && (
+        <ResourceStack.Screen
+          name="ResourceCompare"
+          component={CompareScreen}
+          options={{ title: `Compare ${resource.title}` }}
+        />
+      )}
+      <ResourceStack.Screen
+        name="ResourceDetail"
+        component={ResourceDetailScreen}
+        options={({ route: detailRoute }) => ({
+          title:
+            detailRoute.params?.name ||
+            `${RESOURCES[detailRoute.params?.resourceKey]?.singular ?? ""} Detail`,
+        })}
       />
-      <PlanetsStack.Screen
-        name="PlanetDetail"
-        component={PlanetDetailScreen}
-        options={({ route }) => ({
-          title: route.params?.name || "Planet Detail",
+    </ResourceStack.Navigator>
+  );
+}
+
+/* Favorites tab: saved list + the same detail screen */
+function FavoritesStackScreen() {
+  const { colors } = useTheme();
+  return (
+    <ResourceStack.Navigator screenOptions={stackScreenOptions(colors)}>
+      <ResourceStack.Screen
+        name="FavoritesList"
+        component={FavoritesScreen}
+        options={{ title: "Favorites" }}
+      />
+      <ResourceStack.Screen
+        name="ResourceDetail"
+        component={ResourceDetailScreen}
+        options={({ route: detailRoute }) => ({
+          title:
+            detailRoute.params?.name ||
+            `${RESOURCES[detailRoute.params?.resourceKey]?.singular ?? ""} Detail`,
         })}
       />
-    </PlanetsStack.Navigator>
+    </ResourceStack.Navigator>
+  );
+}
+
+/* Navigator chrome (tab bar, headers, screen backgrounds) */
+function ThemedNavigation() {
+  const { scheme, colors } = useTheme();
+  const base = scheme === "dark" ? DarkTheme : DefaultTheme;
+  const navigationTheme = {
+    ...base,
+    colors: {
+      ...base.colors,
+      primary: colors.primary,
+      background: colors.background,
+      card: colors.backgroundAlt,
+      text: colors.text,
+      border: colors.border,
+    },
+  };
+
+  return (
+    <NavigationContainer theme={navigationTheme}>
+      <StatusBar style={scheme === "dark" ? "light" : "dark"} />
+      <Tab.Navigator
+        screenOptions={{
+          tabBarStyle: { backgroundColor: colors.background },
+          tabBarActiveTintColor: colors.text,
+          tabBarInactiveTintColor: colors.textSecondary,
+          tabBarIndicatorStyle: { backgroundColor: colors.text },
+          tabBarScrollEnabled: true,
+          tabBarItemStyle: { width: "auto", minWidth: 100 },
+        }}
+      >
+        {/* Each resource tab uses a Stack (list + detail) */}
+        {RESOURCE_KEYS.map((key) => (
+          <Tab.Screen
+            key={key}
+            name={RESOURCES[key].title}
+            component={ResourceStackScreen}
+            initialParams={{ resourceKey: key }}
+          />
+        ))}
+        <Tab.Screen name="Favorites" component={FavoritesStackScreen} />
+      </Tab.Navigator>
+    </NavigationContainer>
   );
 }
 
 export default function App() {
   return (
     <GestureHandlerRootView style={{ flex: 1 }}>
-      <NavigationContainer>
-        <Tab.Navigator
-          screenOptions={{
-            tabBarStyle: { backgroundColor: "#0b0d10" },
-            tabBarActiveTintColor: "white",
-            tabBarInactiveTintColor: "#9CA3AF",
-            tabBarIndicatorStyle: { backgroundColor: "white" },
-          }}
-        >
-          {/* Planets tab uses a Stack (list + detail) */}
-          <Tab.Screen name="Planets" component={PlanetsStackScreen} />
-          <Tab.Screen name="Spaceships" component={SpaceshipsScreen} />
-          <Tab.Screen name="Films" component={FilmsScreen} />
-        </Tab.Navigator>
-      </NavigationContainer>
+      <ThemeProvider>
+        <FavoritesProvider>
+          <ThemedNavigation />
+        </FavoritesProvider>
+      </ThemeProvider>
     </GestureHandlerRootView>
   );
 }
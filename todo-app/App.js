@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
   KeyboardAvoidingView,
   StyleSheet,
@@ -9,44 +9,533 @@ import {
   Keyboard,
   ScrollView,
   Platform,        
+  Alert,
 } from "react-native";
 import Task from "./components/Task";
+import UndoSnackbar from "./components/UndoSnackbar";
+import DueDatePicker from "./components/DueDatePicker";
+import EditTaskModal from "./components/EditTaskModal";
+import SwipeableRow from "./components/SwipeableRow";
+import ReorderableList, { moveItem } from "./components/ReorderableList";
+import {
+  createList,
+  createSubtask,
+  createTask,
+  loadStore,
+  saveStore,
+} from "./storage";
+import { SECTIONS, formatDue, groupByDue } from "./dates";
+import { ensureReminderPermission, syncReminders } from "./reminders";
+import { describeRecurrence, nextDueAt, nextStreak } from "./recurrence";
+import {
+  DEFAULT_LISTS,
+  DEFAULT_LIST_ID,
+  TAG_COLORS,
+  cycleTagColor,
+  parseTags,
+  withTagColors,
+} from "./lists";
+
+// Re-check overdue / today boundaries this often
+const CLOCK_TICK_MS = 60 * 1000;
+
+// List switcher value that shows every list at once
+const ALL_LISTS = "all";
 
 export default function App() {
   const [task, setTask] = useState("");
   const [taskItems, setTaskItems] = useState([]);
+  const [lists, setLists] = useState(DEFAULT_LISTS);
+  const [tagColors, setTagColors] = useState({});
+  const [loaded, setLoaded] = useState(false);
+
+  // Restore saved tasks, lists and tag colors once on launch
+  useEffect(() => {
+    let mounted = true;
+    loadStore().then((store) => {
+      if (!mounted) return;
+      // Saving stays off so a failed read never wipes the stored tasks
+      if (store == null) {
+        Alert.alert(
+          "Couldn't load your tasks",
+          "Changes made now won't be saved. Restart the app to try again."
+        );
+        return;
+      }
+      setTaskItems(store.tasks);
+      setLists(store.lists);
+      setTagColors(store.tagColors);
+      setLoaded(true);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  // Persist every change (but never overwrite the store before it was read)
+  useEffect(() => {
+    if (loaded) saveStore({ tasks: taskItems, lists, tagColors });
+  }, [loaded, taskItems, lists, tagColors]);
+
+  // Reschedule reminders after every add / edit / complete / delete
+  useEffect(() => {
+    if (loaded) syncReminders(taskItems);
+  }, [loaded, taskItems]);
+
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Due date for the task being written, and the picker for it
+  const [newDueAt, setNewDueAt] = useState(null);
+  const [showDuePicker, setShowDuePicker] = useState(false);
+  const [editingId, setEditingId] = useState(null); // full editor (text + due)
+  const [inlineEditingId, setInlineEditingId] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [expandedIds, setExpandedIds] = useState([]); // tasks showing their checklist
+  const permissionWarned = useRef(false);
+
+  // List switcher + tag filter (null = every tag)
+  const [selectedListId, setSelectedListId] = useState(ALL_LISTS);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [newListName, setNewListName] = useState(null); // null = not adding
+
+  // Ask for notifications the first time a due date is used
+  const requestReminders = async () => {
+    const granted = await ensureReminderPermission();
+    if (!granted && !permissionWarned.current && Platform.OS !== "web") {
+      permissionWarned.current = true;
+      Alert.alert(
+        "Reminders are off",
+        "Allow notifications for this app in Settings to be reminded when tasks are due."
+      );
+    }
+  };
 
   const handleAddTask = () => {
     // prevent blank tasks
     if (!task.trim()) return;
     Keyboard.dismiss();
-    setTaskItems((prev) => [...prev, task.trim()]);
+    // "#tag" words become tags; new tasks go to the list on screen
+    const { text, tags } = parseTags(task);
+    const listId =
+      selectedListId === ALL_LISTS ? DEFAULT_LIST_ID : selectedListId;
+    setTaskItems((prev) => [
+      ...prev,
+      createTask(text, { dueAt: newDueAt, listId, tags }),
+    ]);
+    setTagColors((prev) => withTagColors(prev, tags));
+    if (newDueAt != null) requestReminders();
     setTask(""); 
+    setNewDueAt(null);
+  };
+
+  const renameTask = (id, text) => {
+    setTaskItems((prev) => prev.map((t) => (t.id === id ? { ...t, text } : t)));
+    setInlineEditingId(null);
+  };
+
+  // Reorder inside one section; tasks outside it keep their slots
+  const reorderSection = (sectionTasks, from, to) => {
+    const order = moveItem(sectionTasks, from, to).map((t) => t.id);
+    const ids = new Set(order);
+    setTaskItems((prev) => {
+      const byId = new Map(prev.map((t) => [t.id, t]));
+      let next = 0;
+      return prev.map((t) => (ids.has(t.id) ? byId.get(order[next++]) : t));
+    });
+  };
+
+  // changes: { text, dueAt, recurrence, listId, tags, subtasks, autoComplete }
+  const saveEdit = (changes) => {
+    const { dueAt, tags } = changes;
+    setTaskItems((prev) =>
+      prev.map((t) => (t.id === editingId ? { ...t, ...changes } : t))
+    );
+    setTagColors((prev) => withTagColors(prev, tags));
+    if (dueAt != null) requestReminders();
+    setEditingId(null);
   };
 
-  const completeTask = (index) => {
-    const itemsCopy = [...taskItems];
-    itemsCopy.splice(index, 1);
-    setTaskItems(itemsCopy);
+  const addList = () => {
+    const name = (newListName || "").trim();
+    setNewListName(null);
+    if (!name) return;
+    const list = createList(name, lists);
+    setLists((prev) => [...prev, list]);
+    setSelectedListId(list.id);
   };
 
+  // Tasks of a deleted list move to the default list
+  const deleteList = (list) => {
+    if (list.id === DEFAULT_LIST_ID) return;
+    Alert.alert(
+      `Delete "${list.name}"?`,
+      "Its tasks will move to Personal.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            setLists((prev) => prev.filter((l) => l.id !== list.id));
+            setTaskItems((prev) =>
+              prev.map((t) =>
+                t.listId === list.id ? { ...t, listId: DEFAULT_LIST_ID } : t
+              )
+            );
+            if (selectedListId === list.id) setSelectedListId(ALL_LISTS);
+          },
+        },
+      ]
+    );
+  };
+
+  const [showCompleted, setShowCompleted] = useState(false);
+  // { id, message, undo } for the last action that can be reverted. Each
+  // one gets a new id so the same message twice restarts the dismiss timer.
+  const [snackbar, setSnackbar] = useState(null);
+  const snackbarCount = useRef(0);
+  const showSnackbar = (next) =>
+    setSnackbar({ ...next, id: ++snackbarCount.current });
+  const dismissSnackbar = useCallback(() => setSnackbar(null), []);
+
+  const setCompletedAt = (id, completedAt) => {
+    setTaskItems((prev) =>
+      prev.map((t) => (t.id === id ? { ...t, completedAt } : t))
+    );
+  };
+
+  const completeTask = (id) => {
+    const current = taskItems.find((t) => t.id === id);
+    if (current?.recurrence) {
+      completeOccurrence(current);
+      return;
+    }
+    setCompletedAt(id, Date.now());
+    showSnackbar({
+      message: "Task completed",
+      undo: () => setCompletedAt(id, null),
+    });
+  };
+
+  // A recurring task is completed as a one-off and the series (rule,
+  // streak, fresh checklist) moves on to the next occurrence
+  const completeOccurrence = (current) => {
+    const completedAt = Date.now();
+    const streaks = nextStreak(current, completedAt);
+    const next = createTask(current.text, {
+      dueAt: nextDueAt(current.recurrence, current.dueAt, completedAt),
+      listId: current.listId,
+      tags: current.tags,
+      subtasks: current.subtasks.map((sub) => createSubtask(sub.text)),
+      autoComplete: current.autoComplete,
+      recurrence: current.recurrence,
+      ...streaks,
+    });
+    setTaskItems((prev) => [
+      ...prev.map((t) =>
+        t.id === current.id
+          ? { ...t, completedAt, recurrence: null, ...streaks }
+          : t
+      ),
+      next,
+    ]);
+    showSnackbar({
+      message:
+        streaks.streak > 1
+          ? `Done · ${streaks.streak} in a row`
+          : "Task completed",
+      undo: () =>
+        setTaskItems((prev) =>
+          prev
+            .filter((t) => t.id !== next.id)
+            .map((t) => (t.id === current.id ? current : t))
+        ),
+    });
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+  };
+
+  const addSubtask = (id, text) => {
+    setTaskItems((prev) =>
+      prev.map((t) =>
+        t.id === id ? { ...t, subtasks: [...t.subtasks, createSubtask(text)] } : t
+      )
+    );
+  };
+
+  // Checking off the last open item completes the task (unless turned off)
+  const toggleSubtask = (id, subtaskId) => {
+    const current = taskItems.find((t) => t.id === id);
+    if (!current) return;
+    const subtasks = current.subtasks.map((sub) =>
+      sub.id === subtaskId ? { ...sub, done: !sub.done } : sub
+    );
+    setTaskItems((prev) =>
+      prev.map((t) => (t.id === id ? { ...t, subtasks } : t))
+    );
+    if (current.autoComplete && subtasks.every((sub) => sub.done)) {
+      setExpandedIds((prev) => prev.filter((x) => x !== id));
+      completeTask(id);
+    }
+  };
+
+  const restoreTask = (id) => {
+    setCompletedAt(id, null);
+  };
+
+  const deleteTask = (id) => {
+    const index = taskItems.findIndex((t) => t.id === id);
+    if (index === -1) return;
+    const removed = taskItems[index];
+    setTaskItems((prev) => prev.filter((t) => t.id !== id));
+    showSnackbar({
+      message: "Task deleted",
+      // put it back where it was
+      undo: () =>
+        setTaskItems((prev) => {
+          const copy = [...prev];
+          copy.splice(Math.min(index, copy.length), 0, removed);
+          return copy;
+        }),
+    });
+  };
+
+  const handleUndo = () => {
+    if (snackbar) snackbar.undo();
+    setSnackbar(null);
+  };
+
+  const listById = new Map(lists.map((l) => [l.id, l]));
+  const listTasks =
+    selectedListId === ALL_LISTS
+      ? taskItems
+      : taskItems.filter((t) => t.listId === selectedListId);
+  // Tags used in the current list (plus the active filter, so it can be cleared)
+  const listTags = [...new Set(listTasks.flatMap((t) => t.tags))].sort();
+  if (tagFilter && !listTags.includes(tagFilter)) listTags.push(tagFilter);
+  const visibleTasks = tagFilter
+    ? listTasks.filter((t) => t.tags.includes(tagFilter))
+    : listTasks;
+
+  const activeTasks = visibleTasks.filter((t) => !t.completedAt);
+  const sections = groupByDue(activeTasks, now);
+  const editingTask = taskItems.find((t) => t.id === editingId) || null;
+  // most recently completed first
+  const completedTasks = visibleTasks
+    .filter((t) => t.completedAt)
+    .sort((a, b) => b.completedAt - a.completedAt);
+
+  const taskTags = (item) =>
+    item.tags.map((name) => ({ name, color: tagColors[name] || TAG_COLORS[0] }));
+
   return (
     <View style={styles.container}>
       {/* Scrolls when list grows */}
       <ScrollView
         contentContainerStyle={{ flexGrow: 1 }}
         keyboardShouldPersistTaps="handled"
+        scrollEnabled={!dragging}
       >
-        {/* Today's Tasks */}
+        {/* Overdue / Today / Upcoming — tap or swipe right to complete,
+            swipe left to delete, long-press to edit, drag ≡ to reorder */}
         <View style={styles.tasksWrapper}>
-          <Text style={styles.sectionTitle}>Today's tasks</Text>
-          <View style={styles.items}>
-            {taskItems.map((item, index) => (
-              <TouchableOpacity key={`${item}-${index}`} onPress={() => completeTask(index)}>
-                <Task text={item} />
+          {/* List switcher — long-press a list to delete it */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+            contentContainerStyle={styles.chipRow}
+          >
+            <TouchableOpacity
+              style={[styles.chip, selectedListId === ALL_LISTS && styles.chipActive]}
+              onPress={() => setSelectedListId(ALL_LISTS)}
+            >
+              <Text
+                style={[
+                  styles.chipText,
+                  selectedListId === ALL_LISTS && styles.chipTextActive,
+                ]}
+              >
+                All
+              </Text>
+            </TouchableOpacity>
+            {lists.map((list) => (
+              <TouchableOpacity
+                key={list.id}
+                style={[
+                  styles.chip,
+                  selectedListId === list.id && {
+                    backgroundColor: list.color,
+                    borderColor: list.color,
+                  },
+                ]}
+                onPress={() => setSelectedListId(list.id)}
+                onLongPress={() => deleteList(list)}
+              >
+                {selectedListId !== list.id && (
+                  <View style={[styles.listDot, { backgroundColor: list.color }]} />
+                )}
+                <Text
+                  style={[
+                    styles.chipText,
+                    selectedListId === list.id && styles.chipTextActive,
+                  ]}
+                >
+                  {list.name}
+                </Text>
               </TouchableOpacity>
             ))}
-          </View>
+            {newListName == null ? (
+              <TouchableOpacity style={styles.chip} onPress={() => setNewListName("")}>
+                <Text style={styles.chipText}>+ New list</Text>
+              </TouchableOpacity>
+            ) : (
+              <TextInput
+                style={[styles.chip, styles.newListInput]}
+                placeholder="List name"
+                value={newListName}
+                onChangeText={setNewListName}
+                autoFocus
+                returnKeyType="done"
+                onSubmitEditing={addList}
+                onBlur={addList}
+              />
+            )}
+          </ScrollView>
+
+          {/* Tag filter — tap to filter, long-press to change a tag's color */}
+          {listTags.length > 0 && (
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.chipRow}
+            >
+              {listTags.map((tag) => (
+                <TouchableOpacity
+                  key={tag}
+                  style={[
+                    styles.tagChip,
+                    { borderColor: tagColors[tag] || TAG_COLORS[0] },
+                    tagFilter === tag && {
+                      backgroundColor: tagColors[tag] || TAG_COLORS[0],
+                    },
+                  ]}
+                  onPress={() => setTagFilter((prev) => (prev === tag ? null : tag))}
+                  onLongPress={() => setTagColors((prev) => cycleTagColor(prev, tag))}
+                >
+                  <Text
+                    style={[
+                      styles.tagChipText,
+                      { color: tagColors[tag] || TAG_COLORS[0] },
+                      tagFilter === tag && styles.chipTextActive,
+                    ]}
+                  >
+                    #{tag}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+
+          {SECTIONS.filter(
+            (section) => section.key === "today" || sections[section.key].length > 0
+          ).map((section) => (
+            <View key={section.key} style={styles.section}>
+              <Text
+                style={[
+                  styles.sectionTitle,
+                  section.key === "overdue" && styles.sectionTitleOverdue,
+                ]}
+              >
+                {section.title}
+              </Text>
+              <View style={styles.items}>
+                <ReorderableList
+                  items={sections[section.key]}
+                  keyExtractor={(item) => item.id}
+                  onReorder={(from, to) =>
+                    reorderSection(sections[section.key], from, to)
+                  }
+                  onDragChange={setDragging}
+                  renderItem={(item, dragHandlers) => (
+                    <SwipeableRow
+                      onSwipeRight={() => completeTask(item.id)}
+                      onSwipeLeft={() => deleteTask(item.id)}
+                    >
+                      {/* Tasks with a checklist expand on tap instead */}
+                      <TouchableOpacity
+                        onPress={() =>
+                          item.subtasks.length > 0
+                            ? toggleExpanded(item.id)
+                            : completeTask(item.id)
+                        }
+                        onLongPress={() => setInlineEditingId(item.id)}
+                        disabled={inlineEditingId === item.id}
+                      >
+                        <Task
+                          text={item.text}
+                          color={listById.get(item.listId)?.color}
+                          tags={taskTags(item)}
+                          subtasks={item.subtasks}
+                          repeat={item.recurrence && describeRecurrence(item.recurrence)}
+                          streak={item.streak}
+                          expanded={expandedIds.includes(item.id)}
+                          onToggleSubtask={(subtaskId) =>
+                            toggleSubtask(item.id, subtaskId)
+                          }
+                          onAddSubtask={(text) => addSubtask(item.id, text)}
+                          due={item.dueAt != null ? formatDue(item.dueAt, now) : null}
+                          overdue={section.key === "overdue"}
+                          editing={inlineEditingId === item.id}
+                          onSubmitEdit={(text) => renameTask(item.id, text)}
+                          onCancelEdit={() => setInlineEditingId(null)}
+                          onOpenEditor={() => {
+                            setInlineEditingId(null);
+                            setEditingId(item.id);
+                          }}
+                          dragHandlers={dragHandlers}
+                        />
+                      </TouchableOpacity>
+                    </SwipeableRow>
+                  )}
+                />
+              </View>
+            </View>
+          ))}
+
+          {/* Completed (collapsible) — tap to restore */}
+          {completedTasks.length > 0 && (
+            <View style={styles.completedWrapper}>
+              <TouchableOpacity onPress={() => setShowCompleted((v) => !v)}>
+                <Text style={styles.completedTitle}>
+                  {showCompleted ? "▾" : "▸"} Completed ({completedTasks.length})
+                </Text>
+              </TouchableOpacity>
+              {showCompleted && (
+                <View style={styles.items}>
+                  {completedTasks.map((item) => (
+                    <TouchableOpacity key={item.id} onPress={() => restoreTask(item.id)}>
+                      <Task
+                        text={item.text}
+                        color={listById.get(item.listId)?.color}
+                        tags={taskTags(item)}
+                        completed
+                        onDelete={() => deleteTask(item.id)}
+                      />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+          )}
         </View>
       </ScrollView>
 
@@ -56,20 +545,60 @@ export default function App() {
         keyboardVerticalOffset={Platform.OS === "ios" ? 10 : 0} // small lift on iOS
         style={styles.writeTaskWrapper}
       >
-        <TextInput
-          style={styles.input}
-          placeholder="Write a task"
-          value={task}
-          onChangeText={setTask}
-          returnKeyType="done"
-          onSubmitEditing={handleAddTask}
-        />
-        <TouchableOpacity onPress={handleAddTask}>
-          <View style={styles.addWrapper}>
-            <Text style={styles.addText}>+</Text>
-          </View>
-        </TouchableOpacity>
+        {newDueAt != null && (
+          <TouchableOpacity onPress={() => setNewDueAt(null)}>
+            <Text style={styles.newDueText}>
+              Due {formatDue(newDueAt, now)} ✕
+            </Text>
+          </TouchableOpacity>
+        )}
+        <View style={styles.writeTaskRow}>
+          <TextInput
+            style={styles.input}
+            placeholder="Write a task"
+            value={task}
+            onChangeText={setTask}
+            returnKeyType="done"
+            onSubmitEditing={handleAddTask}
+          />
+          <TouchableOpacity
+            onPress={() => setShowDuePicker(true)}
+            accessibilityLabel="Set due date"
+          >
+            <View
+              style={[styles.dueWrapper, newDueAt != null && styles.dueWrapperSet]}
+            >
+              <Text style={styles.dueIcon}>⏰</Text>
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleAddTask}>
+            <View style={styles.addWrapper}>
+              <Text style={styles.addText}>+</Text>
+            </View>
+          </TouchableOpacity>
+        </View>
       </KeyboardAvoidingView>
+
+      <DueDatePicker
+        visible={showDuePicker}
+        value={newDueAt}
+        onChange={setNewDueAt}
+        onClose={() => setShowDuePicker(false)}
+      />
+
+      <EditTaskModal
+        task={editingTask}
+        lists={lists}
+        onSave={saveEdit}
+        onClose={() => setEditingId(null)}
+      />
+
+      <UndoSnackbar
+        id={snackbar?.id}
+        message={snackbar?.message}
+        onUndo={handleUndo}
+        onDismiss={dismissSnackbar}
+      />
     </View>
   );
 }
@@ -77,17 +606,55 @@ export default function App() {
 const styles = StyleSheet.create({
   container: { flex: 1, backgroundColor: "#E8EAED" },
   tasksWrapper: { paddingTop: 80, paddingHorizontal: 20 },
+  chipRow: { paddingBottom: 16 },
+  chip: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFF",
+    borderRadius: 60,
+    borderColor: "#C0C0C0",
+    borderWidth: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+  },
+  chipActive: { backgroundColor: "#55BCF6", borderColor: "#55BCF6" },
+  chipText: { color: "#808080", fontWeight: "600" },
+  chipTextActive: { color: "#FFF" },
+  listDot: { width: 8, height: 8, borderRadius: 4, marginRight: 6 },
+  newListInput: { minWidth: 100 },
+  tagChip: {
+    borderRadius: 60,
+    borderWidth: 1,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 8,
+  },
+  tagChipText: { fontSize: 12, fontWeight: "600" },
+  section: { marginBottom: 10 },
   sectionTitle: { fontSize: 24, fontWeight: "bold" },
-  items: { marginTop: 30 },
+  sectionTitleOverdue: { color: "#C0392B" },
+  items: { marginTop: 20 },
+  completedWrapper: { marginTop: 10, marginBottom: 160 },
+  completedTitle: { fontSize: 18, fontWeight: "bold", color: "#808080" },
 
   writeTaskWrapper: {
     position: "absolute",
     bottom: 60,
+    width: "100%",
+    alignItems: "center",
+  },
+  writeTaskRow: {
     width: "100%",
     flexDirection: "row",
     justifyContent: "space-around",
     alignItems: "center",
   },
+  newDueText: {
+    color: "#55BCF6",
+    fontWeight: "600",
+    marginBottom: 8,
+  },
   input: {
     paddingVertical: 15,
     paddingHorizontal: 15,
@@ -95,8 +662,20 @@ const styles = StyleSheet.create({
     borderRadius: 60,
     borderColor: "#C0C0C0",
     borderWidth: 1,
-    width: 250,
+    width: 210,
+  },
+  dueWrapper: {
+    width: 44,
+    height: 44,
+    backgroundColor: "#FFF",
+    borderRadius: 44,
+    justifyContent: "center",
+    alignItems: "center",
+    borderColor: "#C0C0C0",
+    borderWidth: 1,
   },
+  dueWrapperSet: { borderColor: "#55BCF6", backgroundColor: "#D4EEFD" },
+  dueIcon: { fontSize: 18 },
   addWrapper: {
     width: 60,
     height: 60,
@@ -0,0 +1,280 @@
+import {
+  createRecurrence,
+  describeRecurrence,
+  isValidRecurrence,
+  nextDueAt,
+  nextStreak,
+  withTimeOf,
+} from "../recurrence";
+
+// Local wall clock time -> ms (month is 1-based to read like a calendar)
+const at = (year, month, day, hour = 0, minute = 0) =>
+  new Date(year, month - 1, day, hour, minute).getTime();
+
+// ms -> [year, month, day, hour, minute] in local time
+const wallClock = (time) => {
+  const date = new Date(time);
+  return [
+    date.getFullYear(),
+    date.getMonth() + 1,
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+  ];
+};
+
+// Follows a series: each occurrence completed right when it's due
+const series = (rule, dueAt, count) => {
+  const dates = [];
+  let due = dueAt;
+  for (let i = 0; i < count; i++) {
+    due = nextDueAt(rule, due, due);
+    dates.push(wallClock(due));
+  }
+  return dates;
+};
+
+test("runs in a time zone with DST (see jest.global-setup.js)", () => {
+  const winter = new Date(2025, 0, 1).getTimezoneOffset();
+  const summer = new Date(2025, 6, 1).getTimezoneOffset();
+  expect(winter).not.toBe(summer);
+});
+
+describe("DST changes (America/New_York)", () => {
+  // 2025-03-09: 02:00 -> 03:00, 2025-11-02: 02:00 -> 01:00
+  test("a time skipped by spring-forward only moves that occurrence", () => {
+    const rule = createRecurrence("daily", at(2025, 3, 8, 2, 30));
+    expect(series(rule, at(2025, 3, 8, 2, 30), 3)).toEqual([
+      [2025, 3, 9, 3, 30],
+      [2025, 3, 10, 2, 30],
+      [2025, 3, 11, 2, 30],
+    ]);
+  });
+
+  test("keeps the wall clock time across a 23 hour day", () => {
+    const rule = createRecurrence("daily", at(2025, 3, 8, 8));
+    const next = nextDueAt(rule, at(2025, 3, 8, 8), at(2025, 3, 8, 8));
+    expect(wallClock(next)).toEqual([2025, 3, 9, 8, 0]);
+    expect(next - at(2025, 3, 8, 8)).toBe(23 * 60 * 60 * 1000);
+  });
+
+  test("keeps the wall clock time across a 25 hour day", () => {
+    const rule = createRecurrence("daily", at(2025, 11, 1, 8));
+    const next = nextDueAt(rule, at(2025, 11, 1, 8), at(2025, 11, 1, 8));
+    expect(wallClock(next)).toEqual([2025, 11, 2, 8, 0]);
+    expect(next - at(2025, 11, 1, 8)).toBe(25 * 60 * 60 * 1000);
+  });
+
+  test("a repeated hour at fall-back still lands on the rule's time", () => {
+    const rule = createRecurrence("daily", at(2025, 11, 1, 1, 30));
+    expect(series(rule, at(2025, 11, 1, 1, 30), 2)).toEqual([
+      [2025, 11, 2, 1, 30],
+      [2025, 11, 3, 1, 30],
+    ]);
+  });
+
+  test("every N days counts calendar days, not 24 hour blocks", () => {
+    const rule = createRecurrence("interval", at(2025, 3, 7, 9));
+    expect(series(rule, at(2025, 3, 7, 9), 2)).toEqual([
+      [2025, 3, 9, 9, 0],
+      [2025, 3, 11, 9, 0],
+    ]);
+  });
+
+  test("rules saved without a time keep the due date's time", () => {
+    const next = nextDueAt(
+      { type: "daily" },
+      at(2025, 3, 8, 7, 15),
+      at(2025, 3, 8, 7)
+    );
+    expect(wallClock(next)).toEqual([2025, 3, 9, 7, 15]);
+  });
+});
+
+describe("month-end clamping", () => {
+  test("the 31st falls back to short months without drifting", () => {
+    const rule = createRecurrence("monthly", at(2025, 1, 31, 9));
+    expect(series(rule, at(2025, 1, 31, 9), 4)).toEqual([
+      [2025, 2, 28, 9, 0],
+      [2025, 3, 31, 9, 0],
+      [2025, 4, 30, 9, 0],
+      [2025, 5, 31, 9, 0],
+    ]);
+  });
+
+  test("uses the 29th of February in leap years", () => {
+    const rule = createRecurrence("monthly", at(2028, 1, 30, 9));
+    expect(series(rule, at(2028, 1, 30, 9), 2)).toEqual([
+      [2028, 2, 29, 9, 0],
+      [2028, 3, 30, 9, 0],
+    ]);
+  });
+
+  test("a later day in the same month comes before next month", () => {
+    const rule = {
+      ...createRecurrence("monthly", at(2025, 3, 10, 9)),
+      dayOfMonth: 15,
+    };
+    const next = nextDueAt(rule, at(2025, 3, 10, 9), at(2025, 3, 10, 9));
+    expect(wallClock(next)).toEqual([2025, 3, 15, 9, 0]);
+  });
+
+  test("rolls over the end of the year", () => {
+    const rule = createRecurrence("monthly", at(2025, 12, 31, 9));
+    expect(series(rule, at(2025, 12, 31, 9), 2)).toEqual([
+      [2026, 1, 31, 9, 0],
+      [2026, 2, 28, 9, 0],
+    ]);
+  });
+});
+
+describe("weekly rules", () => {
+  test("wraps around to the first chosen day of the next week", () => {
+    // Fri 2025-10-17; Mon + Wed chosen
+    const rule = {
+      ...createRecurrence("weekly", at(2025, 10, 17, 9)),
+      days: [3, 1],
+    };
+    expect(series(rule, at(2025, 10, 17, 9), 3)).toEqual([
+      [2025, 10, 20, 9, 0],
+      [2025, 10, 22, 9, 0],
+      [2025, 10, 27, 9, 0],
+    ]);
+  });
+
+  test("a single day repeats a week later", () => {
+    const rule = createRecurrence("weekly", at(2025, 10, 20, 9));
+    expect(rule.days).toEqual([1]);
+    expect(series(rule, at(2025, 10, 20, 9), 1)).toEqual([
+      [2025, 10, 27, 9, 0],
+    ]);
+  });
+
+  test("crosses the year boundary", () => {
+    // Wed 2025-12-31 -> Thu 2026-01-01
+    const rule = {
+      ...createRecurrence("weekly", at(2025, 12, 31, 9)),
+      days: [4],
+    };
+    expect(series(rule, at(2025, 12, 31, 9), 1)).toEqual([[2026, 1, 1, 9, 0]]);
+  });
+
+  test("weekdays skip the weekend", () => {
+    const rule = createRecurrence("weekdays", at(2025, 10, 17, 9));
+    expect(series(rule, at(2025, 10, 17, 9), 2)).toEqual([
+      [2025, 10, 20, 9, 0],
+      [2025, 10, 21, 9, 0],
+    ]);
+  });
+});
+
+describe("late and early completion", () => {
+  const rule = createRecurrence("daily", at(2025, 10, 15, 8));
+
+  test("occurrences already in the past are skipped", () => {
+    const next = nextDueAt(rule, at(2025, 10, 15, 8), at(2025, 10, 19, 10));
+    expect(wallClock(next)).toEqual([2025, 10, 20, 8, 0]);
+  });
+
+  test("today's occurrence is kept when it's still ahead", () => {
+    const next = nextDueAt(rule, at(2025, 10, 15, 8), at(2025, 10, 19, 7));
+    expect(wallClock(next)).toEqual([2025, 10, 19, 8, 0]);
+  });
+
+  test("finishing early still moves on to the next occurrence", () => {
+    const next = nextDueAt(rule, at(2025, 10, 19, 8), at(2025, 10, 19, 6));
+    expect(wallClock(next)).toEqual([2025, 10, 20, 8, 0]);
+  });
+
+  test("a late monthly task skips to the next month still ahead", () => {
+    const monthly = createRecurrence("monthly", at(2025, 1, 31, 9));
+    const next = nextDueAt(monthly, at(2025, 1, 31, 9), at(2025, 3, 5, 12));
+    expect(wallClock(next)).toEqual([2025, 3, 31, 9, 0]);
+  });
+
+  test("undated tasks come back the next day at 09:00", () => {
+    const next = nextDueAt({ type: "daily" }, null, at(2025, 3, 8, 22));
+    expect(wallClock(next)).toEqual([2025, 3, 9, 9, 0]);
+  });
+});
+
+describe("nextStreak", () => {
+  const due = at(2025, 10, 19, 8);
+
+  test("done by the end of the due day extends the streak", () => {
+    expect(
+      nextStreak(
+        { dueAt: due, streak: 2, bestStreak: 5 },
+        at(2025, 10, 19, 23, 59)
+      )
+    ).toEqual({ streak: 3, bestStreak: 5 });
+  });
+
+  test("done on a later day starts over", () => {
+    expect(
+      nextStreak(
+        { dueAt: due, streak: 4, bestStreak: 4 },
+        at(2025, 10, 20, 0, 5)
+      )
+    ).toEqual({ streak: 1, bestStreak: 4 });
+  });
+
+  test("raises the best streak", () => {
+    expect(nextStreak({ dueAt: due, streak: 4, bestStreak: 4 }, due)).toEqual({
+      streak: 5,
+      bestStreak: 5,
+    });
+  });
+
+  test("undated tasks always count as on time", () => {
+    expect(nextStreak({ dueAt: null }, due)).toEqual({
+      streak: 1,
+      bestStreak: 1,
+    });
+  });
+});
+
+describe("rules", () => {
+  test("are anchored on the due date's day and time", () => {
+    const anchor = at(2025, 10, 22, 18, 45); // Wed
+    expect(createRecurrence("weekly", anchor)).toEqual({
+      type: "weekly",
+      days: [3],
+      hour: 18,
+      minute: 45,
+    });
+    expect(createRecurrence("monthly", anchor).dayOfMonth).toBe(22);
+    expect(withTimeOf({ type: "daily" }, at(2025, 1, 1, 6, 5))).toEqual({
+      type: "daily",
+      hour: 6,
+      minute: 5,
+    });
+  });
+
+  test("reject malformed input", () => {
+    expect(isValidRecurrence(createRecurrence("interval"))).toBe(true);
+    expect(isValidRecurrence({ type: "daily" })).toBe(true);
+    expect(isValidRecurrence(null)).toBe(false);
+    expect(isValidRecurrence({ type: "yearly" })).toBe(false);
+    expect(isValidRecurrence({ type: "weekly", days: [] })).toBe(false);
+    expect(isValidRecurrence({ type: "weekly", days: [7] })).toBe(false);
+    expect(isValidRecurrence({ type: "monthly", dayOfMonth: 32 })).toBe(false);
+    expect(isValidRecurrence({ type: "interval", every: 0 })).toBe(false);
+    expect(isValidRecurrence({ type: "daily", hour: 24 })).toBe(false);
+  });
+
+  test("describe themselves", () => {
+    expect(describeRecurrence({ type: "weekly", days: [5, 1] })).toBe(
+      "Mon, Fri"
+    );
+    expect(describeRecurrence({ type: "monthly", dayOfMonth: 1 })).toBe(
+      "Monthly on the 1st"
+    );
+    expect(describeRecurrence({ type: "monthly", dayOfMonth: 12 })).toBe(
+      "Monthly on the 12th"
+    );
+    expect(describeRecurrence({ type: "interval", every: 3 })).toBe(
+      "Every 3 days"
+    );
+  });
+});
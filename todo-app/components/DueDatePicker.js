@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Modal, Platform } from 'react-native';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
+import { duePresets, formatDue } from '../dates';
+
+// Presets, a custom date/time and "no due date"; calls onChange(dueAt | null)
+export const DueDateOptions = (props) => {
+  const { value, onChange } = props;
+  const [draft, setDraft] = useState(null); // iOS inline picker value
+
+  const base = new Date(value ?? Date.now() + 60 * 60 * 1000);
+
+  // Android shows separate native dialogs for the date and the time
+  const pickCustom = () => {
+    if (Platform.OS !== 'android') {
+      setDraft(base);
+      return;
+    }
+    DateTimePickerAndroid.open({
+      value: base,
+      mode: 'date',
+      minimumDate: new Date(),
+      onChange: (event, date) => {
+        if (event.type !== 'set') return;
+        DateTimePickerAndroid.open({
+          value: date,
+          mode: 'time',
+          is24Hour: true,
+          onChange: (timeEvent, time) => {
+            if (timeEvent.type === 'set') onChange(time.getTime());
+          },
+        });
+      },
+    });
+  };
+
+  return (
+    <View>
+      {value != null && (
+        <Text style={styles.current}>Due {formatDue(value)}</Text>
+      )}
+      <View style={styles.options}>
+        {duePresets().map((preset) => (
+          <TouchableOpacity
+            key={preset.label}
+            style={[styles.option, value === preset.dueAt && styles.optionActive]}
+            onPress={() => onChange(preset.dueAt)}
+          >
+            <Text style={styles.optionText}>{preset.label}</Text>
+            <Text style={styles.optionHint}>{formatDue(preset.dueAt)}</Text>
+          </TouchableOpacity>
+        ))}
+        {Platform.OS !== 'web' && (
+          <TouchableOpacity style={styles.option} onPress={pickCustom}>
+            <Text style={styles.optionText}>Pick date & time…</Text>
+          </TouchableOpacity>
+        )}
+        {value != null && (
+          <TouchableOpacity style={styles.option} onPress={() => onChange(null)}>
+            <Text style={[styles.optionText, styles.clearText]}>No due date</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {draft && (
+        <View>
+          <DateTimePicker
+            value={draft}
+            mode="datetime"
+            display="inline"
+            minimumDate={new Date()}
+            onChange={(event, date) => date && setDraft(date)}
+          />
+          <TouchableOpacity
+            style={styles.setButton}
+            onPress={() => {
+              onChange(draft.getTime());
+              setDraft(null);
+            }}
+          >
+            <Text style={styles.setButtonText}>Set due date</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  )
+}
+
+// Bottom sheet around DueDateOptions; closes once a choice is made
+const DueDatePicker = (props) => {
+  const { visible, value, onChange, onClose } = props;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+      <View style={styles.sheet}>
+        <Text style={styles.title}>Due date</Text>
+        <DueDateOptions
+          value={value}
+          onChange={(dueAt) => {
+            onChange(dueAt);
+            onClose();
+          }}
+        />
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    backgroundColor: '#FFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  current: {
+    color: '#55BCF6',
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    backgroundColor: '#E8EAED',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionActive: {
+    backgroundColor: '#D4EEFD',
+  },
+  optionText: {
+    fontWeight: '600',
+  },
+  optionHint: {
+    color: '#808080',
+    fontSize: 12,
+  },
+  clearText: {
+    color: '#C0392B',
+  },
+  setButton: {
+    backgroundColor: '#55BCF6',
+    borderRadius: 60,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  setButtonText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default DueDatePicker;
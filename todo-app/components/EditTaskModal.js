@@ -0,0 +1,371 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, Modal, KeyboardAvoidingView, Platform, Switch } from 'react-native';
+import { DueDateOptions } from './DueDatePicker';
+import { normalizeTag } from '../lists';
+import { createSubtask } from '../storage';
+import { RECURRENCE_TYPES, createRecurrence, withTimeOf } from '../recurrence';
+
+const WEEKDAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+// "#work, errands" -> ["work", "errands"]
+function tagsFromInput(input) {
+  const tags = input.split(/[\s,]+/).map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Edit a task's text, due date, repeat rule, list, tags and checklist;
+// onSave({ text, dueAt, recurrence, listId, tags, subtasks, autoComplete })
+// only for non-blank text
+const EditTaskModal = (props) => {
+  const { task, lists, onSave, onClose } = props;
+  const [text, setText] = useState('');
+  const [dueAt, setDueAt] = useState(null);
+  const [listId, setListId] = useState(null);
+  const [tagsText, setTagsText] = useState('');
+  const [subtasks, setSubtasks] = useState([]);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [autoComplete, setAutoComplete] = useState(true);
+  const [recurrence, setRecurrence] = useState(null);
+
+  // Start from the task every time the editor opens
+  useEffect(() => {
+    if (!task) return;
+    setText(task.text);
+    setDueAt(task.dueAt ?? null);
+    setListId(task.listId);
+    setTagsText((task.tags || []).map((tag) => `#${tag}`).join(' '));
+    setSubtasks(task.subtasks || []);
+    setNewSubtask('');
+    setAutoComplete(task.autoComplete !== false);
+    setRecurrence(task.recurrence ?? null);
+  }, [task]);
+
+  const pickRepeat = (type) => {
+    setRecurrence(type ? createRecurrence(type, dueAt ?? Date.now()) : null);
+  };
+
+  // Weekly: toggle a day, but always keep at least one
+  const toggleWeekday = (day) => {
+    const days = recurrence.days.includes(day)
+      ? recurrence.days.filter((d) => d !== day)
+      : [...recurrence.days, day];
+    if (days.length > 0) setRecurrence({ ...recurrence, days });
+  };
+
+  const setEvery = (value) => {
+    const every = parseInt(value, 10);
+    if (every >= 1) setRecurrence({ ...recurrence, every });
+  };
+
+  const addSubtask = () => {
+    if (!newSubtask.trim()) return;
+    setSubtasks((prev) => [...prev, createSubtask(newSubtask.trim())]);
+    setNewSubtask('');
+  };
+
+  const removeSubtask = (id) => {
+    setSubtasks((prev) => prev.filter((sub) => sub.id !== id));
+  };
+
+  // Occurrences are due at the due date's time of day; undated ones
+  // fall back to the engine's default hour
+  const ruleToSave = () => {
+    if (!recurrence) return null;
+    const { hour, minute, ...rule } = recurrence;
+    return dueAt != null ? withTimeOf(rule, dueAt) : rule;
+  };
+
+  const save = () => {
+    if (!text.trim()) return;
+    onSave({
+      text: text.trim(),
+      dueAt,
+      recurrence: ruleToSave(),
+      listId,
+      tags: tagsFromInput(tagsText),
+      subtasks,
+      autoComplete,
+    });
+  };
+
+  return (
+    <Modal visible={!!task} transparent animationType="slide" onRequestClose={onClose}>
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose} />
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        style={styles.sheet}
+      >
+        <Text style={styles.title}>Edit task</Text>
+        <TextInput
+          style={styles.input}
+          value={text}
+          onChangeText={setText}
+          placeholder="Task"
+          returnKeyType="done"
+          onSubmitEditing={save}
+        />
+
+        <Text style={styles.label}>Due date</Text>
+        <DueDateOptions value={dueAt} onChange={setDueAt} />
+
+        <Text style={styles.label}>Repeat</Text>
+        <View style={styles.chips}>
+          {[{ type: null, label: 'Never' }, ...RECURRENCE_TYPES].map((option) => {
+            const active = (recurrence?.type ?? null) === option.type;
+            return (
+              <TouchableOpacity
+                key={option.label}
+                style={[styles.chip, active && styles.chipActive]}
+                onPress={() => pickRepeat(option.type)}
+              >
+                <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {recurrence?.type === 'weekly' && (
+          <View style={styles.chips}>
+            {WEEKDAY_LETTERS.map((letter, day) => {
+              const active = recurrence.days.includes(day);
+              return (
+                <TouchableOpacity
+                  key={day}
+                  style={[styles.dayChip, active && styles.chipActive]}
+                  onPress={() => toggleWeekday(day)}
+                >
+                  <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                    {letter}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+        {recurrence?.type === 'interval' && (
+          <View style={styles.everyRow}>
+            <Text style={styles.everyText}>Every</Text>
+            <TextInput
+              style={[styles.input, styles.everyInput]}
+              defaultValue={String(recurrence.every)}
+              onChangeText={setEvery}
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+            <Text style={styles.everyText}>days</Text>
+          </View>
+        )}
+
+        <Text style={styles.label}>List</Text>
+        <View style={styles.chips}>
+          {lists.map((list) => (
+            <TouchableOpacity
+              key={list.id}
+              style={[
+                styles.chip,
+                listId === list.id && { backgroundColor: list.color, borderColor: list.color },
+              ]}
+              onPress={() => setListId(list.id)}
+            >
+              <Text style={[styles.chipText, listId === list.id && styles.chipTextActive]}>
+                {list.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Tags</Text>
+        <TextInput
+          style={styles.input}
+          value={tagsText}
+          onChangeText={setTagsText}
+          placeholder="#errands #urgent"
+          autoCapitalize="none"
+          autoCorrect={false}
+          returnKeyType="done"
+          onSubmitEditing={save}
+        />
+
+        <Text style={styles.label}>Checklist</Text>
+        {subtasks.map((sub) => (
+          <View key={sub.id} style={styles.subtaskRow}>
+            <Text style={[styles.subtaskText, sub.done && styles.subtaskTextDone]}>
+              {sub.text}
+            </Text>
+            <TouchableOpacity
+              onPress={() => removeSubtask(sub.id)}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              accessibilityLabel="Remove item"
+            >
+              <Text style={styles.removeText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+        <TextInput
+          style={styles.input}
+          value={newSubtask}
+          onChangeText={setNewSubtask}
+          placeholder="Add item"
+          returnKeyType="done"
+          blurOnSubmit={false}
+          onSubmitEditing={addSubtask}
+        />
+        {subtasks.length > 0 && (
+          <View style={styles.switchRow}>
+            <Text style={styles.switchText}>Complete task when all items are done</Text>
+            <Switch value={autoComplete} onValueChange={setAutoComplete} />
+          </View>
+        )}
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.saveButton, !text.trim() && styles.saveDisabled]}
+            onPress={save}
+            disabled={!text.trim()}
+          >
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    backgroundColor: '#FFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  input: {
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    backgroundColor: '#FFF',
+    borderRadius: 10,
+    borderColor: '#C0C0C0',
+    borderWidth: 1,
+  },
+  label: {
+    color: '#808080',
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderRadius: 60,
+    borderColor: '#C0C0C0',
+    borderWidth: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#55BCF6',
+    borderColor: '#55BCF6',
+  },
+  dayChip: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderColor: '#C0C0C0',
+    borderWidth: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 6,
+    marginBottom: 8,
+  },
+  everyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  everyText: {
+    color: '#808080',
+  },
+  everyInput: {
+    width: 60,
+    marginHorizontal: 8,
+    textAlign: 'center',
+  },
+  chipText: {
+    color: '#808080',
+    fontWeight: '600',
+  },
+  chipTextActive: {
+    color: '#FFF',
+  },
+  subtaskRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  subtaskText: {
+    flex: 1,
+  },
+  subtaskTextDone: {
+    textDecorationLine: 'line-through',
+    color: '#808080',
+  },
+  removeText: {
+    color: '#C0C0C0',
+    fontSize: 16,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchText: {
+    flex: 1,
+    color: '#808080',
+    marginRight: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  cancelText: {
+    color: '#808080',
+    fontWeight: '600',
+  },
+  saveButton: {
+    backgroundColor: '#55BCF6',
+    borderRadius: 60,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+  },
+  saveDisabled: {
+    opacity: 0.5,
+  },
+  saveText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default EditTaskModal;
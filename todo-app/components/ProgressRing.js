@@ -0,0 +1,53 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Circle } from 'react-native-svg';
+
+// Checklist progress: a ring filled to done/total with a "2/5" label
+const ProgressRing = (props) => {
+  const { done, total, size = 18, strokeWidth = 2, color = '#55BCF6' } = props;
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const progress = total > 0 ? done / total : 0;
+
+  return (
+    <View style={styles.wrapper} accessibilityLabel={`${done} of ${total} done`}>
+      <Text style={styles.count}>{done}/{total}</Text>
+      {/* rotated so the arc starts at 12 o'clock */}
+      <Svg width={size} height={size} style={{ transform: [{ rotate: '-90deg' }] }}>
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke="#E0E0E0"
+          strokeWidth={strokeWidth}
+          fill="none"
+        />
+        <Circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeDasharray={`${circumference} ${circumference}`}
+          strokeDashoffset={circumference * (1 - progress)}
+          strokeLinecap="round"
+          fill="none"
+        />
+      </Svg>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  count: {
+    color: '#808080',
+    fontSize: 11,
+    marginRight: 4,
+  },
+});
+
+export default ProgressRing;
@@ -0,0 +1,115 @@
+import React, { useRef, useState } from 'react';
+import { View, Animated, PanResponder } from 'react-native';
+
+// Moves the item at `from` to `to` (returns a new array)
+export function moveItem(list, from, to) {
+  const copy = [...list];
+  const [item] = copy.splice(from, 1);
+  copy.splice(to, 0, item);
+  return copy;
+}
+
+// Where a row dragged by `dy` from `from` should land, given row heights
+function targetIndex(heights, from, dy) {
+  let index = from;
+  let remaining = dy;
+  if (dy > 0) {
+    while (index < heights.length - 1 && remaining > heights[index + 1] / 2) {
+      remaining -= heights[index + 1];
+      index++;
+    }
+  } else {
+    while (index > 0 && -remaining > heights[index - 1] / 2) {
+      remaining += heights[index - 1];
+      index--;
+    }
+  }
+  return index;
+}
+
+// Plain-View list with drag-and-drop reordering. renderItem(item, dragHandlers)
+// spreads dragHandlers on the grab handle; onReorder(from, to) runs on drop.
+// onDragChange(true/false) lets a parent ScrollView stop scrolling meanwhile.
+const ReorderableList = (props) => {
+  const { items, keyExtractor, renderItem, onReorder, onDragChange } = props;
+  const [drag, setDrag] = useState(null); // { from, to }
+  const dy = useRef(new Animated.Value(0)).current;
+  const heights = useRef({}); // key -> measured height
+
+  const latest = useRef(null);
+  latest.current = { items, onReorder, onDragChange };
+
+  const rowHeights = () =>
+    latest.current.items.map((item) => heights.current[keyExtractor(item)] || 0);
+
+  // One responder per row, created lazily and kept by key
+  const responders = useRef({});
+  const handlersFor = (key) => {
+    if (!responders.current[key]) {
+      const indexOf = () =>
+        latest.current.items.findIndex((item) => keyExtractor(item) === key);
+      let from = -1;
+      const finish = (moved) => {
+        const to = targetIndex(rowHeights(), from, moved);
+        dy.setValue(0);
+        setDrag(null);
+        latest.current.onDragChange?.(false);
+        if (from !== -1 && to !== from) latest.current.onReorder(from, to);
+      };
+
+      responders.current[key] = PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onMoveShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: () => {
+          from = indexOf();
+          setDrag({ from, to: from });
+          latest.current.onDragChange?.(true);
+        },
+        onPanResponderMove: (_, g) => {
+          dy.setValue(g.dy);
+          const to = targetIndex(rowHeights(), from, g.dy);
+          setDrag((prev) => (prev && prev.to !== to ? { ...prev, to } : prev));
+        },
+        onPanResponderRelease: (_, g) => finish(g.dy),
+        onPanResponderTerminate: () => finish(0),
+      });
+    }
+    return responders.current[key].panHandlers;
+  };
+
+  // Rows between the dragged row and its target slide over by its height
+  const shiftFor = (index) => {
+    if (!drag || index === drag.from) return 0;
+    const draggedHeight = rowHeights()[drag.from];
+    if (drag.from < index && index <= drag.to) return -draggedHeight;
+    if (drag.to <= index && index < drag.from) return draggedHeight;
+    return 0;
+  };
+
+  return (
+    <View>
+      {items.map((item, index) => {
+        const key = keyExtractor(item);
+        const dragging = drag && drag.from === index;
+        return (
+          <Animated.View
+            key={key}
+            onLayout={(e) => {
+              heights.current[key] = e.nativeEvent.layout.height;
+            }}
+            style={
+              dragging
+                ? { zIndex: 1, elevation: 4, opacity: 0.9, transform: [{ translateY: dy }] }
+                : { transform: [{ translateY: shiftFor(index) }] }
+            }
+          >
+            {renderItem(item, handlersFor(key))}
+          </Animated.View>
+        );
+      })}
+    </View>
+  )
+}
+
+export default ReorderableList;
@@ -0,0 +1,109 @@
+import React, { useRef } from 'react';
+import { View, Text, StyleSheet, Animated, PanResponder } from 'react-native';
+
+// Past this many px a released swipe triggers its action
+const SWIPE_THRESHOLD = 100;
+
+// Swipe right -> onSwipeRight (complete), swipe left -> onSwipeLeft (delete).
+// Only claims clearly horizontal drags so the list still scrolls.
+const SwipeableRow = (props) => {
+  const { children, onSwipeLeft, onSwipeRight } = props;
+  const translateX = useRef(new Animated.Value(0)).current;
+
+  // PanResponder is created once; read the latest callbacks through a ref
+  const handlers = useRef(null);
+  handlers.current = { onSwipeLeft, onSwipeRight };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onMoveShouldSetPanResponder: (_, g) =>
+        Math.abs(g.dx) > 10 && Math.abs(g.dx) > Math.abs(g.dy) * 2,
+      onPanResponderMove: Animated.event([null, { dx: translateX }], {
+        useNativeDriver: false,
+      }),
+      onPanResponderRelease: (_, g) => {
+        const action =
+          g.dx > SWIPE_THRESHOLD
+            ? handlers.current.onSwipeRight
+            : g.dx < -SWIPE_THRESHOLD
+            ? handlers.current.onSwipeLeft
+            : null;
+        if (!action) {
+          Animated.spring(translateX, { toValue: 0, useNativeDriver: false }).start();
+          return;
+        }
+        Animated.timing(translateX, {
+          toValue: g.dx > 0 ? 500 : -500,
+          duration: 150,
+          useNativeDriver: false,
+        }).start(() => {
+          action();
+          translateX.setValue(0);
+        });
+      },
+      onPanResponderTerminate: () => {
+        Animated.spring(translateX, { toValue: 0, useNativeDriver: false }).start();
+      },
+    })
+  ).current;
+
+  // Reveal the matching action behind the row
+  const completeOpacity = translateX.interpolate({
+    inputRange: [0, SWIPE_THRESHOLD],
+    outputRange: [0, 1],
+    extrapolate: 'clamp',
+  });
+  const deleteOpacity = translateX.interpolate({
+    inputRange: [-SWIPE_THRESHOLD, 0],
+    outputRange: [1, 0],
+    extrapolate: 'clamp',
+  });
+
+  return (
+    <View>
+      <View style={styles.actions}>
+        <Animated.View style={[styles.action, styles.complete, { opacity: completeOpacity }]}>
+          <Text style={styles.actionText}>✓ Complete</Text>
+        </Animated.View>
+        <Animated.View style={[styles.action, styles.delete, { opacity: deleteOpacity }]}>
+          <Text style={styles.actionText}>Delete ✕</Text>
+        </Animated.View>
+      </View>
+      <Animated.View
+        style={{ transform: [{ translateX }] }}
+        {...panResponder.panHandlers}
+      >
+        {children}
+      </Animated.View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  actions: {
+    ...StyleSheet.absoluteFillObject,
+    bottom: 20, // matches Task's marginBottom
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  action: {
+    flex: 1,
+    borderRadius: 10,
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  complete: {
+    backgroundColor: '#55BCF6',
+    alignItems: 'flex-start',
+  },
+  delete: {
+    backgroundColor: '#C0392B',
+    alignItems: 'flex-end',
+  },
+  actionText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
+
+export default SwipeableRow;
@@ -1,15 +1,152 @@
-import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+import ProgressRing from './ProgressRing';
 
 const Task = (props) => {
+  // Inline editing: the text turns into an input until submitted or blurred
+  const [draft, setDraft] = useState(props.text);
+  useEffect(() => {
+    if (props.editing) setDraft(props.text);
+  }, [props.editing, props.text]);
+
+  const submitEdit = () => {
+    if (draft.trim() && draft.trim() !== props.text) {
+      props.onSubmitEdit(draft.trim());
+    } else {
+      props.onCancelEdit();
+    }
+  };
+
+  // Keep a typed rename when switching to the full editor
+  const openEditor = () => {
+    if (draft.trim() && draft.trim() !== props.text) {
+      props.onSubmitEdit(draft.trim());
+    }
+    props.onOpenEditor();
+  };
+
+  // Checklist: a progress ring replaces the circle once the task has items
+  const subtasks = props.subtasks || [];
+  const doneCount = subtasks.filter((sub) => sub.done).length;
+  const [newSubtask, setNewSubtask] = useState('');
+  const addSubtask = () => {
+    if (!newSubtask.trim()) return;
+    props.onAddSubtask(newSubtask.trim());
+    setNewSubtask('');
+  };
 
   return (
-    <View style={styles.item}>
-      <View style={styles.itemLeft}>
-        <View style={styles.square}></View>
-        <Text style={styles.itemText}>{props.text}</Text>
+    <View style={[styles.item, props.completed && styles.itemCompleted]}>
+      <View style={styles.itemMain}>
+        <View style={styles.itemLeft}>
+          <View style={[styles.square, props.color && { backgroundColor: props.color }]}></View>
+          <View style={styles.itemBody}>
+            {props.editing ? (
+              <TextInput
+                style={styles.editInput}
+                value={draft}
+                onChangeText={setDraft}
+                autoFocus
+                returnKeyType="done"
+                onSubmitEditing={submitEdit}
+                onBlur={submitEdit}
+              />
+            ) : (
+              <Text style={[styles.itemText, props.completed && styles.itemTextCompleted]}>
+                {props.text}
+              </Text>
+            )}
+            {props.due && (
+              <Text style={[styles.dueText, props.overdue && styles.dueTextOverdue]}>
+                {props.due}
+              </Text>
+            )}
+            {props.repeat && (
+              <Text style={styles.repeatText}>
+                ↻ {props.repeat}
+                {props.streak > 0 && ` · 🔥 ${props.streak}`}
+              </Text>
+            )}
+            {props.tags && props.tags.length > 0 && (
+              <View style={styles.tags}>
+                {props.tags.map((tag) => (
+                  <View key={tag.name} style={[styles.tag, { backgroundColor: tag.color }]}>
+                    <Text style={styles.tagText}>#{tag.name}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+          </View>
+        </View>
+        <View style={styles.itemRight}>
+          {props.editing && props.onOpenEditor && (
+            <TouchableOpacity
+              onPress={openEditor}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              accessibilityLabel="Edit due date"
+            >
+              <Text style={styles.editorText}>⏰</Text>
+            </TouchableOpacity>
+          )}
+          {props.onDelete && (
+            <TouchableOpacity
+              onPress={props.onDelete}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+              accessibilityLabel="Delete task"
+            >
+              <Text style={styles.deleteText}>✕</Text>
+            </TouchableOpacity>
+          )}
+          {subtasks.length > 0 && !props.completed ? (
+            <ProgressRing done={doneCount} total={subtasks.length} />
+          ) : (
+            <View style={[styles.circular, props.completed && styles.circularChecked]}>
+              {props.completed && <Text style={styles.checkMark}>✓</Text>}
+            </View>
+          )}
+          {props.dragHandlers && (
+            <View
+              style={styles.dragHandle}
+              accessibilityLabel="Drag to reorder"
+              {...props.dragHandlers}
+            >
+              <Text style={styles.dragHandleText}>≡</Text>
+            </View>
+          )}
+        </View>
       </View>
-      <View style={styles.circular}></View>
+
+      {props.expanded && (
+        <View style={styles.checklist}>
+          {subtasks.map((sub) => (
+            <TouchableOpacity
+              key={sub.id}
+              style={styles.subtask}
+              onPress={() => props.onToggleSubtask(sub.id)}
+              accessibilityRole="checkbox"
+              accessibilityState={{ checked: sub.done }}
+            >
+              <View style={[styles.subtaskBox, sub.done && styles.subtaskBoxDone]}>
+                {sub.done && <Text style={styles.checkMark}>✓</Text>}
+              </View>
+              <Text style={[styles.subtaskText, sub.done && styles.itemTextCompleted]}>
+                {sub.text}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {props.onAddSubtask && (
+            <TextInput
+              style={styles.subtaskInput}
+              placeholder="+ Add item"
+              value={newSubtask}
+              onChangeText={setNewSubtask}
+              returnKeyType="done"
+              blurOnSubmit={false}
+              onSubmitEditing={addSubtask}
+            />
+          )}
+        </View>
+      )}
     </View>
   )
 }
@@ -19,15 +156,25 @@ const styles = StyleSheet.create({
     backgroundColor: '#FFF',
     padding: 15,
     borderRadius: 10,
+    marginBottom: 20,
+  },
+  itemMain: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
-    marginBottom: 20,
+  },
+  itemCompleted: {
+    opacity: 0.6,
   },
   itemLeft: {
     flexDirection: 'row',
     alignItems: 'center',
-    flexWrap: 'wrap'
+    flexWrap: 'wrap',
+    flex: 1,
+  },
+  itemRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
   },
   square: {
     width: 24,
@@ -37,16 +184,119 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     marginRight: 15,
   },
+  itemBody: {
+    flex: 1,
+  },
   itemText: {
     maxWidth: '80%',
   },
+  editInput: {
+    paddingVertical: 0,
+    borderBottomWidth: 1,
+    borderBottomColor: '#55BCF6',
+    marginRight: 10,
+  },
+  editorText: {
+    fontSize: 16,
+    marginRight: 12,
+  },
+  dragHandle: {
+    paddingLeft: 12,
+    paddingVertical: 4,
+  },
+  dragHandleText: {
+    color: '#C0C0C0',
+    fontSize: 20,
+  },
+  dueText: {
+    color: '#808080',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  dueTextOverdue: {
+    color: '#C0392B',
+    fontWeight: '600',
+  },
+  repeatText: {
+    color: '#808080',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  tags: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  tag: {
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    marginRight: 4,
+    marginTop: 2,
+  },
+  tagText: {
+    color: '#FFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  itemTextCompleted: {
+    textDecorationLine: 'line-through',
+    color: '#808080',
+  },
   circular: {
     width: 12,
     height: 12,
     borderColor: '#55BCF6',
     borderWidth: 2,
     borderRadius: 5,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  circularChecked: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: '#55BCF6',
+  },
+  checkMark: {
+    color: '#FFF',
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  checklist: {
+    marginTop: 12,
+    marginLeft: 39, // lines up with the task text, past the square
+  },
+  subtask: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  subtaskBox: {
+    width: 16,
+    height: 16,
+    borderColor: '#55BCF6',
+    borderWidth: 2,
+    borderRadius: 4,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 10,
+  },
+  subtaskBoxDone: {
+    backgroundColor: '#55BCF6',
+  },
+  subtaskText: {
+    flex: 1,
+  },
+  subtaskInput: {
+    paddingVertical: 6,
+    color: '#808080',
+  },
+  deleteText: {
+    color: '#C0C0C0',
+    fontSize: 16,
+    marginRight: 12,
   },
 });
 
-export default Task;
\ No newline at end of file
+export default Task;
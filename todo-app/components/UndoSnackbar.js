@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+// Bottom bar with a message and an "Undo" action; hides itself after `duration` ms.
+// A new `id` restarts the timer, even if the message is the same.
+const UndoSnackbar = (props) => {
+  const { id, message, onUndo, onDismiss, duration = 4000 } = props;
+
+  useEffect(() => {
+    if (!message) return;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [id, message, onDismiss, duration]);
+
+  if (!message) return null;
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.message} numberOfLines={1}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 140,
+    backgroundColor: '#323232',
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  message: {
+    color: '#FFF',
+    flex: 1,
+    marginRight: 12,
+  },
+  undoText: {
+    color: '#55BCF6',
+    fontWeight: 'bold',
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,80 @@
+// dates.js
+// - Due date helpers: Overdue / Today / Upcoming grouping
+// - Short human labels ("Today 18:00", "Tomorrow 09:00", "Fri 14 Mar")
+// - Quick presets for the due date picker
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = "Sun Mon Tue Wed Thu Fri Sat".split(" ");
+const MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+
+export function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Calendar days between two times (DST-safe: compares local midnights)
+function dayDiff(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+// Tasks without a due date stay with today's work
+export function sectionFor(task, now = Date.now()) {
+  if (task.dueAt == null) return "today";
+  if (task.dueAt < now) return "overdue";
+  return dayDiff(now, task.dueAt) === 0 ? "today" : "upcoming";
+}
+
+export const SECTIONS = [
+  { key: "overdue", title: "Overdue" },
+  { key: "today", title: "Today" },
+  { key: "upcoming", title: "Upcoming" },
+];
+
+// { overdue: [...], today: [...], upcoming: [...] }; each section keeps
+// the list order, which the user sets by dragging
+export function groupByDue(tasks, now = Date.now()) {
+  const groups = { overdue: [], today: [], upcoming: [] };
+  tasks.forEach((task) => groups[sectionFor(task, now)].push(task));
+  return groups;
+}
+
+function formatClock(date) {
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
+
+export function formatDue(dueAt, now = Date.now()) {
+  const date = new Date(dueAt);
+  const days = dayDiff(now, dueAt);
+  const clock = formatClock(date);
+
+  if (days === 0) return `Today ${clock}`;
+  if (days === 1) return `Tomorrow ${clock}`;
+  if (days === -1) return `Yesterday ${clock}`;
+  const day = `${WEEKDAYS[date.getDay()]} ${date.getDate()} ${MONTHS[date.getMonth()]}`;
+  return new Date(now).getFullYear() === date.getFullYear()
+    ? `${day} ${clock}`
+    : `${day} ${date.getFullYear()} ${clock}`;
+}
+
+// --- PRESETS ---
+function atTime(dayOffset, hours, now) {
+  const date = new Date(now);
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hours, 0, 0, 0);
+  return date.getTime();
+}
+
+// Offered above the custom picker; "This evening" only before 18:00
+export function duePresets(now = Date.now()) {
+  const presets = [];
+  if (new Date(now).getHours() < 18) {
+    presets.push({ label: "This evening", dueAt: atTime(0, 18, now) });
+  }
+  presets.push({ label: "Tomorrow morning", dueAt: atTime(1, 9, now) });
+  const daysToMonday = (8 - new Date(now).getDay()) % 7 || 7;
+  presets.push({ label: "Next week", dueAt: atTime(daysToMonday, 9, now) });
+  return presets;
+}
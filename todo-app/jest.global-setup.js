@@ -0,0 +1,5 @@
+// Runs the tests in a zone with DST changes, whatever the machine's zone is,
+// so date math is checked against 23 and 25 hour days
+module.exports = () => {
+  process.env.TZ = "America/New_York";
+};
@@ -0,0 +1,69 @@
+// lists.js
+// - Named task lists ({ id, name, color }), shown as the Task accent;
+//   records are created in storage.js
+// - Free-form tags: "#groceries" in a task's text becomes a tag;
+//   each tag name gets a color the first time it's used
+
+export const LIST_COLORS = [
+  "#55BCF6",
+  "#F5A623",
+  "#7ED321",
+  "#BD10E0",
+  "#F8575E",
+  "#4A4A4A",
+];
+export const TAG_COLORS = [
+  "#F5A623",
+  "#7ED321",
+  "#BD10E0",
+  "#F8575E",
+  "#50E3C2",
+  "#4A90E2",
+];
+
+// Lists every store starts with; "personal" also takes over
+// tasks from lists that get deleted
+export const DEFAULT_LIST_ID = "personal";
+export const DEFAULT_LISTS = [
+  { id: DEFAULT_LIST_ID, name: "Personal", color: LIST_COLORS[0] },
+  { id: "work", name: "Work", color: LIST_COLORS[1] },
+  { id: "groceries", name: "Groceries", color: LIST_COLORS[2] },
+];
+
+// --- TAGS ---
+const TAG_PATTERN = /(^|\s)#([\w-]+)/g;
+
+export function normalizeTag(tag) {
+  return tag.trim().replace(/^#/, "").toLowerCase();
+}
+
+// "Buy milk #groceries #Urgent" -> { text: "Buy milk", tags: ["groceries", "urgent"] }
+export function parseTags(input) {
+  const tags = [];
+  const text = input
+    .replace(TAG_PATTERN, (match, lead, tag) => {
+      const name = normalizeTag(tag);
+      if (!tags.includes(name)) tags.push(name);
+      return lead;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+  return { text: text || input.trim(), tags };
+}
+
+// Adds colors for tags seen for the first time (returns the same map if none)
+export function withTagColors(tagColors, tags) {
+  const missing = tags.filter((tag) => !tagColors[tag]);
+  if (missing.length === 0) return tagColors;
+  const next = { ...tagColors };
+  missing.forEach((tag) => {
+    next[tag] = TAG_COLORS[Object.keys(next).length % TAG_COLORS.length];
+  });
+  return next;
+}
+
+// Next palette color for a tag (long-press on a tag chip)
+export function cycleTagColor(tagColors, tag) {
+  const index = TAG_COLORS.indexOf(tagColors[tag]);
+  return { ...tagColors, [tag]: TAG_COLORS[(index + 1) % TAG_COLORS.length] };
+}
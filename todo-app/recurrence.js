@@ -0,0 +1,179 @@
+// recurrence.js
+// - Repeat rules for tasks: { type: "daily" | "weekdays" | "weekly" | "monthly" | "interval", ... }
+//   weekly:   { days: [0-6] } (0 = Sunday)
+//   monthly:  { dayOfMonth: 1-31 } (clamped to short months, e.g. 31 -> 30 Apr)
+//   interval: { every: N } days
+//   every rule: { hour, minute } wall clock time occurrences are due at
+// - Next due date when a recurring task is completed
+// - Completion streaks
+// All date math uses local calendar days (setDate / setMonth) and then puts
+// the rule's hour and minute back, so a time skipped by a DST change only
+// moves that one occurrence.
+
+import { startOfDay } from "./dates";
+
+const WEEKDAYS = "Sun Mon Tue Wed Thu Fri Sat".split(" ");
+
+// Undated recurring tasks come back at this hour
+const DEFAULT_HOUR = 9;
+
+export const RECURRENCE_TYPES = [
+  { type: "daily", label: "Daily" },
+  { type: "weekdays", label: "Weekdays" },
+  { type: "weekly", label: "Weekly" },
+  { type: "monthly", label: "Monthly" },
+  { type: "interval", label: "Every N days" },
+];
+
+// Rule for `type`, anchored on the task's due date (or now)
+export function createRecurrence(type, anchor = Date.now()) {
+  const date = new Date(anchor);
+  const rule = withTimeOf({ type }, anchor);
+  switch (type) {
+    case "weekly":
+      return { ...rule, days: [date.getDay()] };
+    case "monthly":
+      return { ...rule, dayOfMonth: date.getDate() };
+    case "interval":
+      return { ...rule, every: 2 };
+    default:
+      return rule;
+  }
+}
+
+// Re-anchors the rule's time of day, e.g. after the due date was changed
+export function withTimeOf(rule, time) {
+  const date = new Date(time);
+  return { ...rule, hour: date.getHours(), minute: date.getMinutes() };
+}
+
+function isValidTime(rule) {
+  return (
+    (rule.hour == null ||
+      (Number.isInteger(rule.hour) && rule.hour >= 0 && rule.hour <= 23)) &&
+    (rule.minute == null ||
+      (Number.isInteger(rule.minute) && rule.minute >= 0 && rule.minute <= 59))
+  );
+}
+
+export function isValidRecurrence(rule) {
+  if (!rule || typeof rule !== "object" || !isValidTime(rule)) return false;
+  switch (rule.type) {
+    case "daily":
+    case "weekdays":
+      return true;
+    case "weekly":
+      return (
+        Array.isArray(rule.days) &&
+        rule.days.length > 0 &&
+        rule.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      );
+    case "monthly":
+      return (
+        Number.isInteger(rule.dayOfMonth) &&
+        rule.dayOfMonth >= 1 &&
+        rule.dayOfMonth <= 31
+      );
+    case "interval":
+      return Number.isInteger(rule.every) && rule.every >= 1;
+    default:
+      return false;
+  }
+}
+
+export function describeRecurrence(rule) {
+  switch (rule.type) {
+    case "daily":
+      return "Daily";
+    case "weekdays":
+      return "Weekdays";
+    case "weekly":
+      return [...rule.days]
+        .sort((a, b) => a - b)
+        .map((d) => WEEKDAYS[d])
+        .join(", ");
+    case "monthly":
+      return `Monthly on the ${rule.dayOfMonth}${ordinalSuffix(rule.dayOfMonth)}`;
+    case "interval":
+      return rule.every === 1 ? "Daily" : `Every ${rule.every} days`;
+    default:
+      return "";
+  }
+}
+
+function ordinalSuffix(n) {
+  if (n % 100 >= 11 && n % 100 <= 13) return "th";
+  return { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+// First occurrence on a later calendar day than `date`, same wall clock time
+function step(rule, date) {
+  switch (rule.type) {
+    case "interval":
+      return addDays(date, rule.every);
+    case "weekdays":
+    case "weekly": {
+      const days = rule.type === "weekdays" ? [1, 2, 3, 4, 5] : rule.days;
+      let next = addDays(date, 1);
+      while (!days.includes(next.getDay())) next = addDays(next, 1);
+      return next;
+    }
+    case "monthly": {
+      const sameMonth = new Date(date);
+      sameMonth.setDate(
+        Math.min(
+          rule.dayOfMonth,
+          daysInMonth(date.getFullYear(), date.getMonth())
+        )
+      );
+      if (sameMonth.getDate() > date.getDate()) return sameMonth;
+      // setDate(1) first so e.g. 31 Jan + 1 month doesn't overflow into March
+      const next = new Date(date);
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      const last = daysInMonth(next.getFullYear(), next.getMonth());
+      next.setDate(Math.min(rule.dayOfMonth, last));
+      return next;
+    }
+    default:
+      return addDays(date, 1);
+  }
+}
+
+// Due date of the occurrence after the one due at `dueAt` (null = undated)
+// that was completed at `completedAt`. Occurrences already in the past are
+// skipped, so a habit finished late doesn't come back overdue.
+export function nextDueAt(rule, dueAt, completedAt = Date.now()) {
+  const base = new Date(dueAt ?? completedAt);
+  // Rules saved before they carried a time keep the due date's time
+  const hour = rule.hour ?? (dueAt != null ? base.getHours() : DEFAULT_HOUR);
+  const minute = rule.minute ?? (dueAt != null ? base.getMinutes() : 0);
+
+  const advance = (date) => {
+    const next = step(rule, date);
+    next.setHours(hour, minute, 0, 0);
+    return next;
+  };
+
+  let next = advance(base);
+  while (next.getTime() <= completedAt) next = advance(next);
+  return next.getTime();
+}
+
+// On time = done by the end of the day it was due; a late finish starts over
+export function nextStreak(task, completedAt = Date.now()) {
+  const onTime =
+    task.dueAt == null || startOfDay(completedAt) <= startOfDay(task.dueAt);
+  const streak = onTime ? (task.streak || 0) + 1 : 1;
+  return { streak, bestStreak: Math.max(streak, task.bestStreak || 0) };
+}
@@ -0,0 +1,92 @@
+// reminders.js
+// - Local notifications for task due dates (expo-notifications)
+// - One scheduled notification per open task with a future due date,
+//   identified by the task id
+// - syncReminders(tasks) reconciles the schedule after any change
+//   (add, edit, complete, delete), so callers never cancel by hand
+
+import { Platform } from "react-native";
+import * as Notifications from "expo-notifications";
+
+const CHANNEL_ID = "reminders";
+
+// Show reminders as banners even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+export async function ensureReminderPermission() {
+  if (Platform.OS === "web") return false;
+
+  if (Platform.OS === "android") {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: "Task reminders",
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+}
+
+function wantedReminders(tasks, now) {
+  return tasks.filter(
+    (t) => !t.completedAt && t.dueAt != null && t.dueAt > now
+  );
+}
+
+async function reconcile(tasks) {
+  // Nothing can be scheduled until the user allows notifications
+  const { granted } = await Notifications.getPermissionsAsync();
+  if (!granted) return;
+
+  const now = Date.now();
+  const wanted = new Map(wantedReminders(tasks, now).map((t) => [t.id, t]));
+  const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+
+  // Cancel reminders for finished/removed tasks and for changed ones
+  for (const request of scheduled) {
+    const task = wanted.get(request.identifier);
+    const data = request.content.data || {};
+    if (task && data.dueAt === task.dueAt && data.text === task.text) {
+      wanted.delete(request.identifier);
+    } else {
+      await Notifications.cancelScheduledNotificationAsync(request.identifier);
+    }
+  }
+
+  for (const task of wanted.values()) {
+    await Notifications.scheduleNotificationAsync({
+      identifier: task.id,
+      content: {
+        title: "Task due",
+        body: task.text,
+        data: { taskId: task.id, dueAt: task.dueAt, text: task.text },
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(task.dueAt),
+        channelId: CHANNEL_ID,
+      },
+    });
+  }
+}
+
+// Runs one reconcile at a time, in call order
+let queue = Promise.resolve();
+
+export function syncReminders(tasks) {
+  if (Platform.OS === "web") return queue;
+  queue = queue
+    .then(() => reconcile(tasks))
+    .catch((e) => console.warn("Could not update reminders", e));
+  return queue;
+}
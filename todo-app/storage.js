@@ -0,0 +1,208 @@
+// storage.js
+// - Persists tasks, lists and tag colors on the device (AsyncStorage)
+// - Stored shape is versioned: { version, tasks: [...], lists: [...], tagColors: {...} }
+// - Older shapes are upgraded by running MIGRATIONS in order
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { DEFAULT_LISTS, DEFAULT_LIST_ID, LIST_COLORS } from "./lists";
+import { isValidRecurrence } from "./recurrence";
+
+const STORAGE_KEY = "todo-app/tasks";
+const CORRUPT_BACKUP_KEY = "todo-app/tasks:corrupt";
+
+export const SCHEMA_VERSION = 5;
+
+// --- TASK RECORDS ---
+export function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// `fields` sets optional properties up front, e.g. { dueAt }
+export function createTask(text, fields = {}, now = Date.now()) {
+  return {
+    id: createId(),
+    text,
+    createdAt: now,
+    completedAt: null,
+    dueAt: null,
+    listId: DEFAULT_LIST_ID,
+    tags: [],
+    subtasks: [],
+    autoComplete: true, // complete the task once every subtask is done
+    recurrence: null, // see recurrence.js
+    streak: 0,
+    bestStreak: 0,
+    ...fields,
+  };
+}
+
+// Checklist item inside a task
+export function createSubtask(text) {
+  return { id: createId(), text, done: false };
+}
+
+export function createList(name, lists) {
+  return {
+    id: createId(),
+    name,
+    color: LIST_COLORS[lists.length % LIST_COLORS.length],
+  };
+}
+
+// --- MIGRATIONS ---
+// MIGRATIONS[n] upgrades a version n-1 payload to version n.
+// Version 0 is the pre-persistence shape: a bare array of strings.
+const MIGRATIONS = {
+  1: (data) => ({
+    version: 1,
+    tasks: data.tasks.map((text) => createTask(String(text))),
+  }),
+  // Optional due date (ms timestamp or null)
+  2: (data) => ({
+    version: 2,
+    tasks: data.tasks.map((t) => ({ dueAt: null, ...t })),
+  }),
+  // Named lists + tags; existing tasks land in the default list
+  3: (data) => ({
+    version: 3,
+    tasks: data.tasks.map((t) => ({ listId: DEFAULT_LIST_ID, tags: [], ...t })),
+    lists: DEFAULT_LISTS,
+    tagColors: {},
+  }),
+  // Checklist items; auto-complete stays on for existing tasks
+  4: (data) => ({
+    ...data,
+    version: 4,
+    tasks: data.tasks.map((t) => ({ subtasks: [], autoComplete: true, ...t })),
+  }),
+  // Repeat rule + completion streaks
+  5: (data) => ({
+    ...data,
+    version: 5,
+    tasks: data.tasks.map((t) => ({
+      recurrence: null,
+      streak: 0,
+      bestStreak: 0,
+      ...t,
+    })),
+  }),
+};
+
+function readVersion(data) {
+  if (Array.isArray(data)) return { version: 0, tasks: data };
+  if (data && typeof data === "object" && Number.isInteger(data.version)) {
+    return data;
+  }
+  throw new Error("Unrecognised task store shape");
+}
+
+export function migrate(data) {
+  let current = readVersion(data);
+
+  if (current.version > SCHEMA_VERSION) {
+    throw new Error(
+      `Task store version ${current.version} is newer than this app (${SCHEMA_VERSION})`
+    );
+  }
+
+  while (current.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[current.version + 1];
+    if (!step) throw new Error(`No migration to version ${current.version + 1}`);
+    current = step(current);
+  }
+
+  if (!Array.isArray(current.tasks)) {
+    throw new Error("Task store has no task list");
+  }
+  return current;
+}
+
+function isValidTask(task) {
+  return (
+    task &&
+    typeof task.id === "string" &&
+    typeof task.text === "string" &&
+    typeof task.createdAt === "number" &&
+    (task.dueAt == null || typeof task.dueAt === "number") &&
+    (task.tags == null || Array.isArray(task.tags)) &&
+    (task.subtasks == null || Array.isArray(task.subtasks))
+  );
+}
+
+function isValidList(list) {
+  return (
+    list &&
+    typeof list.id === "string" &&
+    typeof list.name === "string" &&
+    typeof list.color === "string"
+  );
+}
+
+function emptyStore() {
+  return { tasks: [], lists: DEFAULT_LISTS, tagColors: {} };
+}
+
+// --- LOAD / SAVE ---
+// Resolves to { tasks, lists, tagColors }, or null when storage couldn't be
+// read at all: the saved data may be fine, so callers must not save over it
+export async function loadStore() {
+  let raw;
+  try {
+    raw = await AsyncStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    console.warn("Could not read saved tasks", e);
+    return null;
+  }
+  if (raw == null) return emptyStore();
+
+  try {
+    const { tasks, lists, tagColors } = migrate(JSON.parse(raw));
+    const valid = tasks.filter(isValidTask);
+    if (valid.length !== tasks.length) {
+      console.warn(
+        `Dropped ${tasks.length - valid.length} malformed task(s) from storage`
+      );
+    }
+    const validLists = (Array.isArray(lists) ? lists : []).filter(isValidList);
+    const storeLists = validLists.length > 0 ? validLists : DEFAULT_LISTS;
+    // Tasks pointing at a missing list fall back to the first one
+    const listIds = new Set(storeLists.map((l) => l.id));
+    return {
+      tasks: valid.map((t) => {
+        const task = {
+          completedAt: null,
+          dueAt: null,
+          tags: [],
+          subtasks: [],
+          autoComplete: true,
+          streak: 0,
+          bestStreak: 0,
+          ...t,
+        };
+        // An unreadable repeat rule turns the task into a one-off
+        if (!isValidRecurrence(task.recurrence)) task.recurrence = null;
+        return listIds.has(task.listId)
+          ? task
+          : { ...task, listId: storeLists[0].id };
+      }),
+      lists: storeLists,
+      tagColors: tagColors && typeof tagColors === "object" ? tagColors : {},
+    };
+  } catch (e) {
+    // Keep the unreadable payload around instead of silently losing it
+    console.warn("Saved tasks are corrupt; starting with an empty list", e);
+    AsyncStorage.setItem(CORRUPT_BACKUP_KEY, raw).catch(() => {});
+    return emptyStore();
+  }
+}
+
+export async function saveStore({ tasks, lists, tagColors }) {
+  try {
+    await AsyncStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: SCHEMA_VERSION, tasks, lists, tagColors })
+    );
+  } catch (e) {
+    console.warn("Could not save tasks", e);
+  }
+}